@@ -10,38 +10,519 @@ import { v4 as uuidv4 } from "uuid";
 import blessed from "blessed";
 import contrib from "blessed-contrib";
 import inquirer from "inquirer";
-import { exec } from "child_process";
+import { spawn } from "child_process";
+import crypto from "crypto";
+import { pathToFileURL } from "url";
+import dgram from "dgram";
+import tar from "tar-fs";
 
 // --- CONFIG ---
+// Options a user can tune. Each is layered, later layers winning: the
+// default, the profile's config.json, a LANOS_<NAME> environment variable,
+// a --<name> flag, and /set at runtime (which also saves to config.json).
+// `restart` marks options only read at startup; `min` and `max` bound
+// numbers.
+const OPTIONS = {
+  port: {
+    key: "PORT",
+    type: "number",
+    min: 1,
+    max: 65535,
+    default: 9420,
+    restart: true,
+    help: "TCP port; the next free one is used if it is taken",
+  },
+  "receive-dir": {
+    key: "DIR_RECEIVE",
+    type: "path",
+    default: path.join(os.homedir(), "Downloads", "lan-os"),
+    help: "Where received files are saved",
+  },
+  "service-type": {
+    key: "SERVICE_TYPE",
+    type: "string",
+    default: "lanos",
+    restart: true,
+    help: "mDNS service name; only nodes that share it see each other",
+  },
+  "discovery-port": {
+    key: "DISCOVERY_PORT",
+    type: "number",
+    min: 1,
+    max: 65535,
+    default: 9419,
+    restart: true,
+    help: "UDP port for broadcast discovery",
+  },
+  "beacon-interval": {
+    key: "BEACON_INTERVAL",
+    type: "number",
+    min: 500,
+    default: 5000,
+    restart: true,
+    help: "ms between discovery broadcasts",
+  },
+  "ping-interval": {
+    key: "PING_INTERVAL",
+    type: "number",
+    min: 500,
+    default: 5000,
+    restart: true,
+    help: "ms between keepalive pings",
+  },
+  "connection-timeout": {
+    key: "CONNECTION_TIMEOUT",
+    type: "number",
+    min: 1000,
+    default: 30000,
+    help: "ms of silence before a link is dropped",
+  },
+  "chunk-size": {
+    key: "CHUNK_SIZE",
+    type: "number",
+    min: 1024,
+    // Well under the 100 MiB frame limit ws enforces by default.
+    max: 1024 * 1024,
+    default: 16 * 1024,
+    help: "Bytes per file transfer chunk",
+  },
+  "max-buffered": {
+    key: "MAX_BUFFERED",
+    type: "number",
+    min: 64 * 1024,
+    default: 1024 * 1024,
+    help: "Bytes queued on a socket before sending pauses",
+  },
+  "relay-ttl": {
+    key: "RELAY_TTL",
+    type: "number",
+    min: 1,
+    max: 16,
+    default: 4,
+    help: "Hops a relayed message may take",
+  },
+  "announce-interval": {
+    key: "ANNOUNCE_INTERVAL",
+    type: "number",
+    min: 1000,
+    default: 30000,
+    restart: true,
+    help: "ms between mesh route announcements",
+  },
+  "reconnect-base": {
+    key: "RECONNECT_BASE",
+    type: "number",
+    min: 100,
+    default: 2000,
+    help: "ms before the first reconnect attempt",
+  },
+  "reconnect-max": {
+    key: "RECONNECT_MAX",
+    type: "number",
+    min: 1000,
+    default: 60000,
+    help: "Longest ms between reconnect attempts",
+  },
+  "reconnect-max-attempts": {
+    key: "RECONNECT_MAX_ATTEMPTS",
+    type: "number",
+    min: 0,
+    default: 8,
+    help: "Attempts before giving up on a non-favorite",
+  },
+  "away-after": {
+    key: "AWAY_AFTER",
+    type: "number",
+    min: 1000,
+    default: 5 * 60 * 1000,
+    help: "ms idle before you show as away",
+  },
+  "typing-timeout": {
+    key: "TYPING_TIMEOUT",
+    type: "number",
+    min: 1000,
+    default: 6000,
+    help: "ms a typing indicator lasts without an update",
+  },
+  "flood-penalty": {
+    key: "FLOOD_PENALTY",
+    type: "number",
+    min: 1000,
+    default: 60000,
+    help: "ms a flooding peer is ignored for",
+  },
+  relay: {
+    key: "RELAY",
+    type: "boolean",
+    default: false,
+    help: "Forward traffic for other peers",
+  },
+  quiet: {
+    key: "QUIET",
+    type: "boolean",
+    default: false,
+    help: "Ignore all game and room invites and nudges",
+  },
+};
+
+// Throws on a value that does not fit the option's type or range.
+const parseOption = (name, raw) => {
+  const { type, min = 0, max = Infinity } = OPTIONS[name];
+  const str = String(raw).trim();
+  if (type === "number") {
+    const n = Number(str);
+    if (str === "" || !Number.isInteger(n) || n < min || n > max)
+      throw new Error(
+        `${name} must be a whole number ${
+          max === Infinity ? `of at least ${min}` : `from ${min} to ${max}`
+        }`
+      );
+    return n;
+  }
+  if (type === "boolean") {
+    if (/^(on|true|yes|1)$/i.test(str)) return true;
+    if (/^(off|false|no|0)$/i.test(str)) return false;
+    throw new Error(`${name} must be on or off`);
+  }
+  if (type === "path")
+    return path.resolve(str.replace(/^~(?=$|[\\/])/, os.homedir()));
+  return str;
+};
+
+// Splits --<option> flags (and --profile, --name) off the command line;
+// whatever is left picks the mode. A bare boolean flag means "on".
+const parseFlags = (argv) => {
+  const flags = {};
+  const rest = [];
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([\w-]+)(?:=(.*))?$/.exec(argv[i]);
+    const name = m?.[1];
+    if (!m || !(OPTIONS[name] || name === "profile" || name === "name")) {
+      rest.push(argv[i]);
+      continue;
+    }
+    if (m[2] !== undefined) flags[name] = m[2];
+    else if (OPTIONS[name]?.type === "boolean") flags[name] = "on";
+    else flags[name] = argv[++i];
+  }
+  return { flags, rest };
+};
+
+const configHome = () => {
+  if (process.env.LANOS_HOME) return path.resolve(process.env.LANOS_HOME);
+  if (process.platform === "win32")
+    return path.join(
+      process.env.APPDATA || path.join(os.homedir(), "AppData", "Roaming"),
+      "lan-os"
+    );
+  if (process.platform === "darwin")
+    return path.join(os.homedir(), "Library", "Application Support", "lan-os");
+  return path.join(
+    process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config"),
+    "lan-os"
+  );
+};
+
+const ARGS = parseFlags(process.argv.slice(2));
+const PROFILE = ARGS.flags.profile || process.env.LANOS_PROFILE || "default";
+if (!/^[\w.-]+$/.test(PROFILE) || PROFILE.startsWith(".")) {
+  console.error(`Invalid profile name: ${PROFILE}`);
+  process.exit(1);
+}
+const PROFILE_DIR = path.join(configHome(), "profiles", PROFILE);
+const inProfile = (file) => path.join(PROFILE_DIR, file);
+
+// Everything a profile keeps lives in its own folder, so the identity no
+// longer depends on the directory the app was started from.
 const CONFIG = {
+  PROFILE,
+  PROFILE_DIR,
+  CONFIG_FILE: inProfile("config.json"),
   PORT_RANGE: { min: 9000, max: 9999 },
-  SERVICE_TYPE: "lanos_omega_v12",
-  DIR_RECEIVE: path.resolve(process.cwd(), "received_files"),
-  CONFIG_FILE: path.resolve(process.cwd(), "lan-identity.json"),
-  PING_INTERVAL: 5000,
-  CONNECTION_TIMEOUT: 30000,
-  CHUNK_SIZE: 16 * 1024,
+  IDENTITY_FILE: inProfile("lan-identity.json"),
+  KEY_FILE: inProfile("lan-keys.json"),
+  KNOWN_PEERS_FILE: inProfile("lan-known-peers.json"),
+  DIR_HISTORY: inProfile("lan-history"),
+  OUTBOX_FILE: inProfile("lan-outbox.json"),
+  ROOMS_FILE: inProfile("lan-rooms.json"),
+  SETTINGS_FILE: inProfile("lan-settings.json"),
+  CONTACTS_FILE: inProfile("lan-contacts.json"),
+  SHARES_FILE: inProfile("lan-shares.json"),
+  SHARE_LIST_LIMIT: 500,
+  SCORES_FILE: inProfile("lan-scores.json"),
+  SHELL_POLICY_FILE: inProfile("lan-shell-policy.json"),
+  SHELL_AUDIT_FILE: inProfile("lan-shell-audit.jsonl"),
+  RECEIVE_POLICY_FILE: inProfile("lan-receive-policy.json"),
+  CONTROL_FILE: inProfile("lan-control.json"),
+  INPUT_HISTORY_FILE: inProfile("lan-input-history.json"),
+  INPUT_HISTORY_LIMIT: 500,
+  STATS_HISTORY: 60, // RTT and bandwidth samples kept per peer
+  // Per peer: [frames per second, burst] for each kind of frame.
+  FLOOD_LIMITS: {
+    chat: [5, 20],
+    relay: [20, 100],
+    nudge: [0.2, 3],
+    invite: [0.2, 3],
+    shell: [0.5, 5],
+    offer: [1, 10],
+    request: [2, 20],
+    view: [5, 20],
+  },
+};
+
+// Earlier versions kept their files in the working directory. The default
+// profile adopts them the first time it starts.
+const LEGACY_FILES = [
+  "lan-identity.json",
+  "lan-keys.json",
+  "lan-known-peers.json",
+  "lan-history",
+  "lan-outbox.json",
+  "lan-rooms.json",
+  "lan-settings.json",
+  "lan-contacts.json",
+  "lan-shares.json",
+  "lan-scores.json",
+  "lan-shell-policy.json",
+  "lan-shell-audit.jsonl",
+  "lan-receive-policy.json",
+  "lan-input-history.json",
+];
+const CONFIG_SOURCES = {}; // option name -> default | file | env | flag | set
+for (const [name, opt] of Object.entries(OPTIONS)) {
+  CONFIG[opt.key] = parseOption(name, opt.default);
+  CONFIG_SOURCES[name] = "default";
+}
+
+// UTILS is not defined yet, hence the inline JSON read. Relay and quiet
+// used to live in lan-settings.json and are still honoured from there.
+const readConfigFile = (file) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    return {};
+  }
 };
 
-if (!fs.existsSync(CONFIG.DIR_RECEIVE))
+// Creates the profile folder, adopts legacy files and layers config.json,
+// LANOS_* variables and flags over the defaults. Only modes that run a
+// node here call it, so `lan-os msg` and `simulate` leave the disk alone.
+const loadProfile = () => {
+  fs.mkdirSync(PROFILE_DIR, { recursive: true });
+  if (
+    PROFILE === "default" &&
+    !fs.existsSync(CONFIG.IDENTITY_FILE) &&
+    fs.existsSync(path.resolve("lan-identity.json"))
+  ) {
+    LEGACY_FILES.filter((f) => fs.existsSync(path.resolve(f))).forEach((f) =>
+      fs.cpSync(path.resolve(f), inProfile(f), { recursive: true })
+    );
+    console.log(
+      `Copied settings from ${process.cwd()} to ${PROFILE_DIR}; the originals were left in place.`
+    );
+  }
+  const { relay, quiet } = readConfigFile(CONFIG.SETTINGS_FILE);
+  const saved = { relay, quiet, ...readConfigFile(CONFIG.CONFIG_FILE) };
+  for (const [name, opt] of Object.entries(OPTIONS)) {
+    const env = `LANOS_${name.toUpperCase().replace(/-/g, "_")}`;
+    for (const [source, raw] of [
+      ["file", saved[name]],
+      ["env", process.env[env]],
+      ["flag", ARGS.flags[name]],
+    ]) {
+      if (raw === undefined || raw === null || raw === "") continue;
+      try {
+        CONFIG[opt.key] = parseOption(name, raw);
+        CONFIG_SOURCES[name] = source;
+      } catch (e) {
+        if (source === "flag") {
+          console.error(e.message);
+          process.exit(1);
+        }
+        console.error(`Ignoring ${name} from ${source}: ${e.message}`);
+      }
+    }
+  }
   fs.mkdirSync(CONFIG.DIR_RECEIVE, { recursive: true });
+};
+
+// Applies an option now and saves it to the profile's config.json.
+const setOption = (name, value) => {
+  CONFIG[OPTIONS[name].key] = value;
+  CONFIG_SOURCES[name] = "set";
+  const saved = readConfigFile(CONFIG.CONFIG_FILE);
+  saved[name] = value;
+  fs.writeFileSync(CONFIG.CONFIG_FILE, JSON.stringify(saved, null, 2));
+};
+
+const describeOptions = (filter) =>
+  Object.entries(OPTIONS)
+    .filter(([name]) => !filter || name.includes(filter))
+    .map(
+      ([name, opt]) =>
+        `  ${name.padEnd(23)}${String(CONFIG[opt.key]).padEnd(14)} ${
+          CONFIG_SOURCES[name]
+        }${opt.restart ? ", on restart" : ""} - ${opt.help}`
+    );
 
 // --- UTILS ---
+const VIRTUAL_IFACE = /(docker|vEthernet|wsl|br-|vmnet|virbr|veth)/i;
+
+const localInterfaces = () =>
+  Object.entries(os.networkInterfaces()).flatMap(([name, list]) =>
+    list
+      .filter((i) => !i.internal)
+      .map((i) => ({ name, ...i, virtual: VIRTUAL_IFACE.test(name) }))
+  );
+
+const ipv4ToInt = (ip) =>
+  ip.split(".").reduce((n, octet) => (n << 8) + Number(octet), 0) >>> 0;
+
+// Lower is better: IPv4 on one of our real subnets, then other IPv4, then
+// global IPv6, then link-local IPv6 (only usable with a %zone suffix).
+const rankAddress = (addr, ifaces = localInterfaces()) => {
+  if (addr.includes(":"))
+    return /^fe80:/i.test(addr) ? (addr.includes("%") ? 4 : 9) : 3;
+  const onSubnet = ifaces.find(
+    (i) =>
+      i.family === "IPv4" &&
+      ((ipv4ToInt(i.address) ^ ipv4ToInt(addr)) & ipv4ToInt(i.netmask)) === 0
+  );
+  if (onSubnet) return onSubnet.virtual ? 1 : 0;
+  return 2;
+};
+
+const sortAddresses = (list) => {
+  const ifaces = localInterfaces();
+  const unique = [...new Set(list.filter(Boolean))].map((a) =>
+    a.replace(/^::ffff:/, "")
+  );
+  return unique
+    .filter((a) => rankAddress(a, ifaces) < 9)
+    .sort((a, b) => rankAddress(a, ifaces) - rankAddress(b, ifaces));
+};
+
+const hostForUrl = (addr) => (addr.includes(":") ? `[${addr}]` : addr);
+
+const broadcastAddresses = () => [
+  "255.255.255.255",
+  ...localInterfaces()
+    .filter((i) => i.family === "IPv4" && !i.virtual)
+    .map((i) => {
+      const n = (ipv4ToInt(i.address) | ~ipv4ToInt(i.netmask)) >>> 0;
+      return [24, 16, 8, 0].map((b) => (n >>> b) & 255).join(".");
+    }),
+];
+
 const getIP = () => {
-  const interfaces = os.networkInterfaces();
-  for (const name of Object.keys(interfaces)) {
-    if (/(docker|vEthernet|wsl|br-|vmnet)/i.test(name)) continue;
-    for (const i of interfaces[name]) {
-      if (i.family === "IPv4" && !i.internal) {
-        return i.address;
-      }
+  const best = localInterfaces()
+    .filter((i) => !i.virtual)
+    .sort((a, b) => rankAddress(a.address) - rankAddress(b.address))[0];
+  return best?.address || "127.0.0.1";
+};
+
+const hashStream = (stream) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    stream
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")))
+      .on("error", reject);
+  });
+
+const hashFile = (filePath) => hashStream(fs.createReadStream(filePath));
+
+// Sorted so that packing the same folder twice yields the same bytes,
+// which lets us hash up front and resume from an offset.
+const packDir = (dir) => tar.pack(dir, { sort: true });
+
+// tarBytes estimates the packed size (512b header per entry, padded data,
+// 1kb trailer) so progress on folders is measured against what is sent.
+const dirStats = (dir, root = true) => {
+  let files = 0;
+  let bytes = 0;
+  let tarBytes = root ? 512 + 1024 : 0;
+  for (const e of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, e.name);
+    tarBytes += 512;
+    if (e.isDirectory()) {
+      const sub = dirStats(full, false);
+      files += sub.files;
+      bytes += sub.bytes;
+      tarBytes += sub.tarBytes;
+    } else if (e.isFile()) {
+      const size = fs.statSync(full).size;
+      files++;
+      bytes += size;
+      tarBytes += Math.ceil(size / 512) * 512;
     }
   }
-  return (
-    Object.values(interfaces)
-      .flat()
-      .find((i) => i.family === "IPv4" && !i.internal)?.address || "127.0.0.1"
-  );
+  return { files, bytes, tarBytes };
+};
+
+// Device names Windows will not open; refused everywhere so a file
+// received here can be copied anywhere.
+const RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+
+// Reduces a name a peer sent us to a single harmless path component.
+const safeFilename = (name) => {
+  let n = String(name || "")
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\x00-\x1f<>:"|?*]/g, "_")
+    // Leading dots would hide the file or spell "..", trailing dots and
+    // spaces are dropped by Windows.
+    .replace(/^[.\s]+|[.\s]+$/g, "")
+    .slice(0, 200);
+  if (!n) n = "file";
+  return RESERVED_NAMES.test(n) ? `_${n}` : n;
+};
+
+// Maps a path inside a shared folder onto disk, or returns null if it does
+// not exist or lies outside the share. Both ends go through realpath so a
+// symlink or ".." cannot lead anywhere else.
+const resolveShared = (root, rel) => {
+  try {
+    const base = fs.realpathSync(root);
+    const target = fs.realpathSync(path.resolve(base, rel || "."));
+    const inside =
+      target === base ||
+      target.startsWith(base.endsWith(path.sep) ? base : base + path.sep);
+    return inside ? target : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+const loadJSON = (file, fallback) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    return fallback;
+  }
+};
+
+const saveJSON = (file, data) =>
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+
+const shortId = (id) => String(id).slice(0, 8);
+
+// Conversations are "general", "#room" or a peer id (a DM).
+const isGroup = (convo) => convo === "general" || convo.startsWith("#");
+
+const roomName = (ref) => {
+  const m = /^#?([\w-]{1,32})$/.exec(ref || "");
+  return m ? `#${m[1].toLowerCase()}` : null;
+};
+const kb = (bytes) => `${(bytes / 1024).toFixed(1)}kb`;
+
+const fmtAgo = (ts) => {
+  if (!ts) return "never";
+  const mins = Math.floor((Date.now() - ts) / 60000);
+  if (mins < 1) return "just now";
+  if (mins < 60) return `${mins}m ago`;
+  if (mins < 24 * 60) return `${Math.floor(mins / 60)}h ago`;
+  return `${Math.floor(mins / (24 * 60))}d ago`;
 };
 
 const COLORS = {
@@ -55,6 +536,167 @@ const COLORS = {
   reset: "{/}",
 };
 
+// --- SECURITY ---
+// Long-term Ed25519 identity key, pinned per peer on first contact (TOFU).
+// Each link derives a fresh AES-256-GCM key from signed X25519 ephemerals.
+// A static X25519 "box" key lets relayed DMs be sealed for the recipient.
+const exportPublic = (key) =>
+  key.export({ type: "spki", format: "der" }).toString("base64");
+
+const generateKeys = () => {
+  const sign = crypto.generateKeyPairSync("ed25519");
+  const box = crypto.generateKeyPairSync("x25519");
+  return {
+    publicKey: exportPublic(sign.publicKey),
+    privateKey: sign.privateKey.export({ type: "pkcs8", format: "pem" }),
+    boxPublicKey: exportPublic(box.publicKey),
+    boxPrivateKey: box.privateKey.export({ type: "pkcs8", format: "pem" }),
+  };
+};
+
+const ephemeralKey = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("x25519");
+  return { privateKey, publicKey: exportPublic(publicKey) };
+};
+
+const loadKeys = (file = CONFIG.KEY_FILE) => {
+  let keys = loadJSON(file, null);
+  if (!keys || !keys.boxPublicKey) {
+    // Older key files predate the box key: add one, keep the identity.
+    keys = { ...generateKeys(), ...keys };
+    saveJSON(file, keys);
+    try {
+      fs.chmodSync(file, 0o600);
+    } catch (e) {}
+  }
+  return keys;
+};
+
+const fingerprint = (publicKey) =>
+  crypto
+    .createHash("sha256")
+    .update(Buffer.from(publicKey, "base64"))
+    .digest("hex");
+
+const fmtFingerprint = (fp) => fp.slice(0, 32).match(/.{4}/g).join(" ");
+
+// Version and capabilities are signed too, so they can't be trimmed in
+// transit; peers from before the handshake carried them sign without.
+const pairSignable = (p) =>
+  Buffer.from(
+    [
+      p.fromId,
+      p.name,
+      p.ephKey,
+      p.peerEphKey || "",
+      ...(p.v ? [p.v, (p.caps || []).join(",")] : []),
+    ].join("|")
+  );
+
+const deriveSessionKey = (eph, theirEphKey, info = "lan-os e2e") => {
+  const secret = crypto.diffieHellman({
+    privateKey: eph.privateKey,
+    publicKey: crypto.createPublicKey({
+      key: Buffer.from(theirEphKey, "base64"),
+      format: "der",
+      type: "spki",
+    }),
+  });
+  const salt = Buffer.from([eph.publicKey, theirEphKey].sort().join("|"));
+  return Buffer.from(crypto.hkdfSync("sha256", secret, salt, info, 32));
+};
+
+// A link's keys, one per direction and each bound to its sender's
+// ephemeral key, so a frame cannot be reflected back at whoever sent it.
+// Counters make each direction refuse replays. Peers before v3 share one
+// key both ways and use random nonces.
+const deriveLinkKeys = (eph, theirEphKey, version) => {
+  if (version < 3) {
+    const key = deriveSessionKey(eph, theirEphKey);
+    return { tx: key, rx: key, sent: null, received: null };
+  }
+  return {
+    tx: deriveSessionKey(eph, theirEphKey, `lan-os link ${eph.publicKey}`),
+    rx: deriveSessionKey(eph, theirEphKey, `lan-os link ${theirEphKey}`),
+    sent: 0,
+    received: 0,
+  };
+};
+
+// Anonymous-sender box: only the holder of the box private key can open it.
+const sealFor = (boxPublicKey, data) => {
+  const eph = ephemeralKey();
+  const key = deriveSessionKey(eph, boxPublicKey);
+  return {
+    eph: eph.publicKey,
+    ct: Protocol.seal(key, Buffer.from(data)).toString("base64"),
+  };
+};
+
+const openSealed = (keys, box) => {
+  const key = deriveSessionKey(
+    {
+      privateKey: crypto.createPrivateKey(keys.boxPrivateKey),
+      publicKey: keys.boxPublicKey,
+    },
+    box.eph
+  );
+  return Protocol.open(key, Buffer.from(box.ct, "base64"));
+};
+
+const relaySignable = (env) =>
+  Buffer.from([env.id, env.origin, env.originName, env.to, env.body].join("|"));
+
+// Which flood limit each incoming frame type counts against.
+const FLOOD_KINDS = {
+  msg: "chat",
+  relay: "relay",
+  nudge: "nudge",
+  "game-invite": "invite",
+  "room-invite": "invite",
+  "shell-req": "shell",
+  "file-offer": "offer",
+  "share-list": "request",
+  "share-get": "request",
+  "game-spectate": "request",
+  "game-view": "view",
+};
+
+// Token buckets per peer and kind. A peer that empties one is throttled:
+// all its limited frames are dropped until the penalty runs out.
+class FloodGuard {
+  constructor(limits, penalty) {
+    this.limits = limits;
+    this.penalty = penalty;
+    this.buckets = new Map(); // "peer|kind" -> { tokens, at }
+    this.until = new Map(); // peer id -> end of throttling
+  }
+
+  // "ok" to handle the frame, "throttle" when the peer has just been
+  // throttled, or "drop" while it still is.
+  check(peerId, kind, now = Date.now()) {
+    if (this.until.get(peerId) > now) return "drop";
+    const [rate, burst] = this.limits[kind];
+    const key = `${peerId}|${kind}`;
+    const b = this.buckets.get(key) || { tokens: burst, at: now };
+    b.tokens = Math.min(burst, b.tokens + ((now - b.at) / 1000) * rate);
+    b.at = now;
+    this.buckets.set(key, b);
+    if (b.tokens >= 1) {
+      b.tokens--;
+      return "ok";
+    }
+    this.until.set(peerId, now + this.penalty);
+    return "throttle";
+  }
+
+  forget(peerId) {
+    this.until.delete(peerId);
+    for (const key of this.buckets.keys())
+      if (key.startsWith(`${peerId}|`)) this.buckets.delete(key);
+  }
+}
+
 // --- PROTOCOL ---
 class Protocol {
   static createBinary(fileId, chunk) {
@@ -64,601 +706,6336 @@ class Protocol {
     lenBuf.writeUInt32BE(hBuf.length, 0);
     return Buffer.concat([lenBuf, hBuf, chunk]);
   }
+  // nonce(12) | tag(16) | ciphertext. With a counter the nonce is 4 zero
+  // bytes and the counter; without one it is random.
+  static seal(key, buf, counter) {
+    const nonce =
+      counter === undefined ? crypto.randomBytes(12) : Buffer.alloc(12);
+    if (counter !== undefined) nonce.writeBigUInt64BE(BigInt(counter), 4);
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, nonce);
+    const body = Buffer.concat([cipher.update(buf), cipher.final()]);
+    return Buffer.concat([nonce, cipher.getAuthTag(), body]);
+  }
+  static open(key, buf) {
+    if (buf.length < 28) return null;
+    try {
+      const decipher = crypto.createDecipheriv(
+        "aes-256-gcm",
+        key,
+        buf.subarray(0, 12)
+      );
+      decipher.setAuthTag(buf.subarray(12, 28));
+      return Buffer.concat([
+        decipher.update(buf.subarray(28)),
+        decipher.final(),
+      ]);
+    } catch {
+      return null;
+    }
+  }
+  // Seals a frame under a link session from deriveLinkKeys.
+  static sealFrame(session, buf) {
+    if (session.sent === null) return Protocol.seal(session.tx, buf);
+    return Protocol.seal(session.tx, buf, ++session.sent);
+  }
+  // Opens a link frame, or returns null if it does not authenticate or
+  // its counter is not past the last one accepted.
+  static openFrame(session, buf) {
+    const plain = Protocol.open(session.rx, buf);
+    if (!plain || session.received === null) return plain;
+    const counter = Number(buf.readBigUInt64BE(4));
+    if (counter <= session.received) return null;
+    session.received = counter;
+    return plain;
+  }
   static parseBinary(buf) {
     if (buf.length < 4) return null;
     const hLen = buf.readUInt32BE(0);
-    if (buf.length < 4 + hLen) return null;
+    if (hLen > 1024 || buf.length < 4 + hLen) return null;
     try {
-      return {
-        header: JSON.parse(buf.subarray(4, 4 + hLen).toString("utf8")),
-        data: buf.subarray(4 + hLen),
-      };
+      const header = JSON.parse(buf.subarray(4, 4 + hLen).toString("utf8"));
+      if (validatePayload(BINARY_HEADER_SCHEMA, header)) return null;
+      return { header, data: buf.subarray(4 + hLen) };
     } catch {
       return null;
     }
   }
 }
 
-// --- GAME LOGIC ---
-class GameEngine {
-  constructor() {
-    this.reset();
-  }
-  reset() {
-    this.active = false;
-    this.board = Array(9).fill(null);
-    this.turn = "X";
-    this.myRole = null;
-  }
-  start(myRole) {
-    this.reset();
-    this.active = true;
-    this.myRole = myRole;
-  }
-  move(idx, role) {
-    if (!this.active || this.board[idx]) return false;
-    if (role === this.myRole && this.turn !== this.myRole) return false;
-    this.board[idx] = role;
-    this.turn = role === "X" ? "O" : "X";
-    return true;
-  }
-  checkWin() {
-    const w = [
-      [0, 1, 2],
-      [3, 4, 5],
-      [6, 7, 8],
-      [0, 3, 6],
-      [1, 4, 7],
-      [2, 5, 8],
-      [0, 4, 8],
-      [2, 4, 6],
-    ];
-    for (let c of w)
-      if (
-        this.board[c[0]] &&
-        this.board[c[0]] === this.board[c[1]] &&
-        this.board[c[0]] === this.board[c[2]]
-      )
-        return this.board[c[0]];
-    return !this.board.includes(null) && this.active ? "DRAW" : null;
-  }
-}
+// v1 is every node from before the handshake carried a version; v3 added
+// per-direction link keys and frame counters.
+const PROTOCOL_VERSION = 3;
+const MIN_PROTOCOL_VERSION = 1;
 
-// --- NETWORK CORE ---
-class NetworkNode extends EventEmitter {
-  constructor(identity) {
-    super();
-    this.identity = identity;
-    this.port = CONFIG.PORT_RANGE.min + Math.floor(Math.random() * 1000);
-    this.peers = new Map();
-    this.conns = new Map();
-    this.transfers = new Map();
-    this.game = new GameEngine();
-    this.bonjour = Bonjour();
-    this.activeTarget = "general";
-    this.pendingShell = null;
-  }
+// Optional features a peer can announce. Anything both ends list is used;
+// the rest falls back or is refused with a message.
+const CAPABILITIES = [
+  "rooms",
+  "relay",
+  "receipts",
+  "resume",
+  "folders",
+  "jobs",
+  "games",
+  "spectate",
+  "presence",
+  "shares",
+  "reveal",
+];
+// What v1 peers had but could not say.
+const LEGACY_CAPABILITIES = [
+  "rooms",
+  "relay",
+  "receipts",
+  "resume",
+  "folders",
+  "jobs",
+  "games",
+  "spectate",
+];
 
-  start() {
-    const server = http.createServer((q, r) => {
-      r.writeHead(200);
-      r.end("LAN-OS OMEGA");
-    });
-    this.wss = new WebSocketServer({ server });
+const PRESENCE_STATES = ["online", "away", "busy"];
 
-    setInterval(() => {
-      const now = Date.now();
-      this.conns.forEach((c, id) => {
-        if (now - c.lastSeen > CONFIG.CONNECTION_TIMEOUT) {
-          this.emit(
-            "log",
-            `${COLORS.err}Timed out: ${c.meta.name} (No response for 30s)${COLORS.reset}`
-          );
-          return c.ws.terminate();
-        }
-        try {
-          c.ws.ping();
-        } catch (e) {}
-      });
-    }, CONFIG.PING_INTERVAL);
+// Field -> type, with a trailing "?" for optional fields. Extra fields are
+// ignored so a newer peer can add to a message without breaking older ones.
+const MESSAGE_SCHEMAS = {
+  pair: {
+    fromId: "string",
+    name: "string",
+    pubKey: "string",
+    ephKey: "string",
+    sig: "string",
+    port: "number?",
+    ack: "boolean?",
+    peerEphKey: "string?",
+    v: "number?",
+    caps: "array?",
+  },
+  error: { code: "string", message: "string?", ref: "string?" },
+  "room-sync": { rooms: "array" },
+  "room-join": { room: "string" },
+  "room-leave": { room: "string" },
+  "room-invite": { room: "string" },
+  msg: {
+    text: "string",
+    id: "string?",
+    ts: "number?",
+    name: "string?",
+    isPm: "boolean?",
+    room: "string?",
+  },
+  "msg-ack": {
+    id: "string",
+    status: "string",
+    isPm: "boolean?",
+    room: "string?",
+  },
+  relay: {
+    id: "string",
+    origin: "string",
+    originName: "string",
+    to: "string",
+    ttl: "number",
+    pubKey: "string",
+    body: "string",
+    sig: "string",
+  },
+  nudge: { fromName: "string?" },
+  presence: { state: "string", text: "string?" },
+  typing: { active: "boolean" },
+  "shell-req": { id: "string", cmd: "string", fromName: "string?" },
+  "shell-data": { id: "string", stream: "string", line: "string" },
+  "shell-exit": { id: "string", reason: "string?" },
+  "shell-in": { id: "string", line: "string" },
+  "shell-kill": { id: "string" },
+  "file-offer": {
+    fileId: "string",
+    filename: "string",
+    size: "number",
+    wireSize: "number?",
+    isDir: "boolean?",
+    fileCount: "number?",
+    fromName: "string?",
+    isPm: "boolean?",
+    room: "string?",
+    getId: "string?",
+  },
+  "file-accept": { fileId: "string", offset: "number?" },
+  "file-reject": { fileId: "string" },
+  "file-cancel": { fileId: "string" },
+  "file-end": { fileId: "string", sha256: "string?" },
+  "file-done": { fileId: "string", ok: "boolean?" },
+  "share-list": { reqId: "string", path: "string?" },
+  "share-listing": {
+    reqId: "string",
+    path: "string?",
+    entries: "array",
+    truncated: "boolean?",
+  },
+  "share-get": { reqId: "string", path: "string" },
+  "game-invite": {
+    gameId: "string",
+    game: "string",
+    name: "string",
+    role: "string?",
+    setup: "object?",
+  },
+  "game-start": { gameId: "string", setup: "object?" },
+  "game-move": {
+    gameId: "string",
+    seq: "number",
+    hash: "string",
+    move: "object",
+  },
+  "game-sync": { gameId: "string" },
+  "game-state": { gameId: "string", seq: "number", view: "object" },
+  // secret is whatever the plugin hides; the commitment hash checks it.
+  "game-reveal": { gameId: "string", salt: "string" },
+  "game-spectate": {},
+  "game-view": {
+    gameId: "string?",
+    game: "string?",
+    names: "object?",
+    view: "object?",
+    status: "string?",
+    none: "boolean?",
+  },
+};
 
-    this.wss.on("connection", (ws) => this._handleConn(ws));
+// Frames that travel inside a relay envelope.
+const RELAYED_SCHEMAS = {
+  route: {
+    seq: "number",
+    neighbors: "array",
+    relay: "boolean?",
+    boxKey: "string?",
+  },
+  msg: MESSAGE_SCHEMAS.msg,
+  "msg-ack": MESSAGE_SCHEMAS["msg-ack"],
+};
 
-    server.listen(this.port, "0.0.0.0", () => {
-      this._startDiscovery();
-      this.emit("ready", this.port);
-    });
+const BINARY_HEADER_SCHEMA = { fileId: "string" };
+
+const typeName = (v) =>
+  v === null ? "null" : Array.isArray(v) ? "array" : typeof v;
+
+// Returns what is wrong with the payload, or null if it fits the schema.
+const validatePayload = (schema, payload) => {
+  if (typeName(payload) !== "object") return "payload must be an object";
+  for (const [field, spec] of Object.entries(schema)) {
+    const type = spec.replace("?", "");
+    const value = payload[field];
+    if (value === undefined || value === null) {
+      if (spec.endsWith("?")) continue;
+      return `missing ${field}`;
+    }
+    if (typeName(value) !== type) return `${field} must be ${type}`;
   }
+  return null;
+};
 
-  _startDiscovery() {
-    this.bonjour.publish({
-      name: this.identity.username,
-      type: CONFIG.SERVICE_TYPE,
-      port: this.port,
-      txt: { id: this.identity.id },
-    });
+// --- GAME LOGIC ---
+// Every game is a plugin. Both players keep their own copy of the state and
+// run every move through the same plugin, so the copies stay in step.
+//   title, help       shown in the game panel; help is the /move syntax
+//   players           seats in order; the inviter takes the first one
+//   create(me, setup, args)  state for seat `me`. The inviter gets the
+//                     /play arguments, the invitee what setup() published
+//   setup(state)      optional public info sent with the invite
+//   checkSetup(setup) optional: true if a peer's setup can be played with
+//   parseMove(args)   /move arguments -> move, or an error string
+//   apply(state, move, role)  applies `role`'s move; false if illegal
+//   reply(state, move)  optional: the answer owed by whoever holds a secret
+//   turn(state)       seat expected to move, or null while awaiting a reply
+//   winner(state)     winning seat, "DRAW" or null
+//   render(state)     lines for the game panel
+//   cells(state)      optional: rows of { text, move } the panel shows as
+//                     buttons instead; move is the /move argument, or null
+//   view(state)       the public part both players share; it is hashed to
+//                     detect divergence and is all spectators ever see
+//   restore(state, view)  overwrite our public part with the authority's
+//   checkView(view, state)  true if a view from a peer has the right shape
+//                     (and, given our state, fits it); checked before
+//                     restore() or watch() ever see it
+//   watch(view)       lines for spectators
+//   secret(state)     optional: what this seat hides. A salted hash of it
+//                     goes out with the setup and the secret itself once
+//                     the game is over
+//   verify(state, secret)  what the revealed secret contradicts, or null
 
-    this.bonjour.find({ type: CONFIG.SERVICE_TYPE }).on("up", (s) => {
-      if (s.txt?.id && s.txt.id !== this.identity.id) {
-        const ip =
-          s.addresses?.find((a) => a.includes(".")) ||
-          s.referer?.address ||
-          s.host;
-        if (ip) {
-          this.peers.set(s.txt.id, {
-            id: s.txt.id,
-            name: s.name,
-            address: ip,
-            port: s.port,
-          });
-          this.emit("peers_update");
-        }
-      }
-    });
+// Hash a seat commits to before play, so it cannot change its secret later.
+const commitSecret = (salt, secret) =>
+  crypto
+    .createHash("sha256")
+    .update(salt + JSON.stringify(secret))
+    .digest("hex");
 
-    this.bonjour.find({ type: CONFIG.SERVICE_TYPE }).on("down", (s) => {
-      if (s.txt?.id) {
-        this.peers.delete(s.txt.id);
-        this.emit("peers_update");
-      }
-    });
-  }
+// How long a finished game waits for the other seat's secret.
+const REVEAL_WAIT = 10000;
 
-  connect(id) {
-    if (this.conns.has(id)) {
-      this.emit("log", `${COLORS.sys}Already connected.${COLORS.reset}`);
-      return;
+// The commitment hash from a setup payload, if it has one.
+const commitmentIn = (setup) =>
+  typeof setup?.commit === "string" ? setup.commit : null;
+
+// First run of n equal cells on a w x h row-major board, or "DRAW" when full.
+const lineWinner = (board, w, h, n) => {
+  const at = (x, y) =>
+    x >= 0 && x < w && y >= 0 && y < h ? board[y * w + x] : null;
+  for (let y = 0; y < h; y++)
+    for (let x = 0; x < w; x++) {
+      const v = at(x, y);
+      if (!v) continue;
+      for (const [dx, dy] of [
+        [1, 0],
+        [0, 1],
+        [1, 1],
+        [1, -1],
+      ]) {
+        let k = 1;
+        while (k < n && at(x + dx * k, y + dy * k) === v) k++;
+        if (k === n) return v;
+      }
     }
-    const p = this.peers.get(id);
-    if (!p) return;
+  return board.includes(null) ? null : "DRAW";
+};
 
-    this.emit("log", `${COLORS.sys}Dialing ${p.address}...${COLORS.reset}`);
-    const ws = new WebSocket(`ws://${p.address}:${p.port}`);
+const other = (players, role) => players[1 - players.indexOf(role)];
 
-    const timeout = setTimeout(() => {
-      if (ws.readyState !== WebSocket.OPEN) {
-        ws.terminate();
-        this.emit("log", `${COLORS.err}Connection timed out.${COLORS.reset}`);
+// A board of `cells` squares, each empty or a seat, and a seat to move.
+const isBoardView = (v, cells, players) =>
+  Array.isArray(v?.board) &&
+  v.board.length === cells &&
+  v.board.every((c) => c === null || players.includes(c)) &&
+  players.includes(v.turn);
+
+const TicTacToe = {
+  title: "Tic-Tac-Toe",
+  help: "/move 1-9",
+  players: ["X", "O"],
+  create: (me) => ({ me, board: Array(9).fill(null), turn: "X" }),
+  parseMove: (args) => {
+    const idx = Number(args) - 1;
+    return idx >= 0 && idx < 9 ? { idx } : "Pick a cell from 1 to 9.";
+  },
+  apply(s, { idx }, role) {
+    if (s.turn !== role || !Number.isInteger(idx) || s.board[idx] !== null)
+      return false;
+    s.board[idx] = role;
+    s.turn = other(this.players, role);
+    return true;
+  },
+  turn: (s) => s.turn,
+  winner: (s) => lineWinner(s.board, 3, 3, 3),
+  view: (s) => ({ board: s.board, turn: s.turn }),
+  restore: (s, v) => Object.assign(s, { board: [...v.board], turn: v.turn }),
+  checkView(v) {
+    return isBoardView(v, 9, this.players);
+  },
+  watch(v) {
+    return this.render(v);
+  },
+  render: (s) =>
+    [0, 3, 6].map((r) =>
+      s.board
+        .slice(r, r + 3)
+        .map((v, i) => v || r + i + 1)
+        .join(" ")
+    ),
+  cells: (s) =>
+    [0, 3, 6].map((r) =>
+      s.board
+        .slice(r, r + 3)
+        .map((v, i) => ({ text: v || "-", move: v ? null : `${r + i + 1}` }))
+    ),
+};
+
+const ConnectFour = {
+  title: "Connect Four",
+  help: "/move 1-7",
+  players: ["X", "O"],
+  create: (me) => ({ me, board: Array(42).fill(null), turn: "X" }),
+  parseMove: (args) => {
+    const col = Number(args) - 1;
+    return col >= 0 && col < 7 ? { col } : "Pick a column from 1 to 7.";
+  },
+  apply(s, { col }, role) {
+    if (s.turn !== role || !Number.isInteger(col) || col < 0 || col > 6)
+      return false;
+    for (let y = 5; y >= 0; y--)
+      if (!s.board[y * 7 + col]) {
+        s.board[y * 7 + col] = role;
+        s.turn = other(this.players, role);
+        return true;
       }
-    }, 5000);
+    return false;
+  },
+  turn: (s) => s.turn,
+  winner: (s) => lineWinner(s.board, 7, 6, 4),
+  view: (s) => ({ board: s.board, turn: s.turn }),
+  restore: (s, v) => Object.assign(s, { board: [...v.board], turn: v.turn }),
+  checkView(v) {
+    return isBoardView(v, 42, this.players);
+  },
+  watch(v) {
+    return this.render(v);
+  },
+  render: (s) => [
+    "1 2 3 4 5 6 7",
+    ...[0, 1, 2, 3, 4, 5].map((y) =>
+      s.board
+        .slice(y * 7, y * 7 + 7)
+        .map((v) => v || ".")
+        .join(" ")
+    ),
+  ],
+};
 
-    ws.on("error", (e) => {
-      clearTimeout(timeout);
-      this.emit(
-        "log",
-        `${COLORS.err}Connect Error: ${e.message}${COLORS.reset}`
+// A 6x6 sea. Each fleet stays with its owner, who answers every shot.
+const SEA = 6;
+const FLEET = [3, 2, 2];
+
+const placeFleet = () => {
+  const taken = new Set();
+  return FLEET.map((len) => {
+    for (;;) {
+      const across = Math.random() < 0.5;
+      const x = Math.floor(Math.random() * (across ? SEA - len + 1 : SEA));
+      const y = Math.floor(Math.random() * (across ? SEA : SEA - len + 1));
+      const cells = Array.from({ length: len }, (_, k) =>
+        across ? y * SEA + x + k : (y + k) * SEA + x
       );
-    });
+      if (cells.some((c) => taken.has(c))) continue;
+      cells.forEach((c) => taken.add(c));
+      return cells;
+    }
+  });
+};
 
-    ws.on("open", () => {
-      clearTimeout(timeout);
-      this._send(ws, "pair", {
-        fromId: this.identity.id,
-        name: this.identity.username,
-      });
-      this._handleConn(ws);
-      this.emit("log", `${COLORS.me}Connected! Verifying...${COLORS.reset}`);
-    });
-  }
+const cellName = (c) =>
+  `${String.fromCharCode(97 + (c % SEA))}${Math.floor(c / SEA) + 1}`;
 
-  _handleConn(ws) {
-    let peerId = null;
-    ws.binaryType = "arraybuffer";
+// A fleet has FLEET's ships in order, each a straight run inside the sea,
+// none overlapping.
+const validFleet = (fleet) => {
+  if (!Array.isArray(fleet) || fleet.length !== FLEET.length) return false;
+  const cells = fleet.flat();
+  if (new Set(cells).size !== cells.length) return false;
+  return fleet.every((ship, i) => {
+    if (!Array.isArray(ship) || ship.length !== FLEET[i]) return false;
+    const ok = (c) => Number.isInteger(c) && c >= 0 && c < SEA * SEA;
+    const across = ship.every(
+      (c, k) => ok(c) && c === ship[0] + k && c % SEA >= ship[0] % SEA
+    );
+    const down = ship.every((c, k) => ok(c) && c === ship[0] + k * SEA);
+    return across || down;
+  });
+};
 
-    let connectionData = {
-      ws,
-      meta: { name: "Unknown" },
-      lastSeen: Date.now(),
+const Battleship = {
+  title: "Battleship",
+  help: "/move a1-f6",
+  players: ["A", "B"],
+  create: (me) => ({
+    me,
+    turn: "A",
+    fleet: placeFleet(),
+    fired: {}, // cell -> "x" hit, "o" miss, "#" sunk, on their sea
+    incoming: {}, // same, on ours
+    pending: null,
+    sunkAll: null,
+  }),
+  parseMove: (args) => {
+    const m = /^([a-f])([1-6])$/i.exec(args.trim());
+    if (!m) return "Aim at a cell like b4.";
+    return {
+      shot: (Number(m[2]) - 1) * SEA + m[1].toLowerCase().charCodeAt(0) - 97,
     };
-
-    ws.on("pong", () => {
-      if (this.conns.has(peerId)) this.conns.get(peerId).lastSeen = Date.now();
+  },
+  apply(s, move, role) {
+    const sea = role === s.me ? s.fired : s.incoming;
+    if ("shot" in move) {
+      const ok =
+        s.turn === role &&
+        s.pending === null &&
+        Number.isInteger(move.shot) &&
+        move.shot >= 0 &&
+        move.shot < SEA * SEA &&
+        !sea[move.shot];
+      if (ok) s.pending = move.shot;
+      return ok;
+    }
+    // An answer comes from the seat that was shot at.
+    if (s.pending === null || role === s.turn || move.cell !== s.pending)
+      return false;
+    const answered = role === s.me ? s.incoming : s.fired;
+    answered[move.cell] = move.hit ? "x" : "o";
+    (move.sunk || []).forEach((c) => (answered[c] = "#"));
+    if (move.defeated) s.sunkAll = role;
+    s.pending = null;
+    s.turn = role;
+    return true;
+  },
+  reply(s, move) {
+    if (!("shot" in move) || s.turn === s.me) return null;
+    const ship = s.fleet.find((cells) => cells.includes(move.shot));
+    const hit = (c) => c === move.shot || ["x", "#"].includes(s.incoming[c]);
+    return {
+      cell: move.shot,
+      hit: !!ship,
+      sunk: ship?.every(hit) ? ship : undefined,
+      defeated: s.fleet.flat().every(hit),
+    };
+  },
+  turn: (s) => (s.pending === null ? s.turn : null),
+  winner(s) {
+    return s.sunkAll ? other(this.players, s.sunkAll) : null;
+  },
+  secret: (s) => s.fleet,
+  // Checks every answer they gave to our shots against their real fleet.
+  verify(s, fleet) {
+    if (!validFleet(fleet)) return "their fleet is not a legal placement";
+    const ships = new Set(fleet.flat());
+    for (const [cell, mark] of Object.entries(s.fired))
+      if ((mark !== "o") !== ships.has(Number(cell)))
+        return `they answered ${cellName(Number(cell))} falsely`;
+    const hit = (c) => ["x", "#"].includes(s.fired[c]);
+    for (const ship of fleet)
+      if (ship.every(hit) !== ship.every((c) => s.fired[c] === "#"))
+        return `they misreported the ship at ${cellName(ship[0])}`;
+    const them = other(this.players, s.me);
+    if ([...ships].every(hit) !== (s.sunkAll === them))
+      return "they misreported the end of the game";
+    return null;
+  },
+  view(s) {
+    return {
+      turn: s.turn,
+      pending: s.pending,
+      sunkAll: s.sunkAll,
+      seas: Object.fromEntries(
+        this.players.map((p) => [p, p === s.me ? s.incoming : s.fired])
+      ),
+    };
+  },
+  restore(s, v) {
+    Object.assign(s, {
+      turn: v.turn,
+      pending: v.pending,
+      sunkAll: v.sunkAll,
+      incoming: { ...v.seas[s.me] },
+      fired: { ...v.seas[other(this.players, s.me)] },
     });
+  },
+  checkView(v) {
+    const cell = (c) => Number.isInteger(c) && c >= 0 && c < SEA * SEA;
+    const sea = (m) =>
+      typeName(m) === "object" &&
+      Object.entries(m).every(
+        ([c, mark]) =>
+          /^\d+$/.test(c) && cell(Number(c)) && "xo#".includes(mark)
+      );
+    return (
+      typeName(v) === "object" &&
+      this.players.includes(v.turn) &&
+      (v.pending === null || cell(v.pending)) &&
+      (v.sunkAll === null || this.players.includes(v.sunkAll)) &&
+      typeName(v.seas) === "object" &&
+      this.players.every((p) => sea(v.seas[p]))
+    );
+  },
+  watch(v) {
+    const [a, b] = this.players;
+    const row = (sea, y) =>
+      Array.from({ length: SEA }, (_, x) => sea[y * SEA + x] || ".").join("");
+    return [
+      `  ${a}       ${b}`,
+      "  abcdef  abcdef",
+      ...Array.from(
+        { length: SEA },
+        (_, y) => `${y + 1} ${row(v.seas[a], y)}  ${row(v.seas[b], y)}`
+      ),
+    ];
+  },
+  render(s) {
+    const ships = new Set(s.fleet.flat());
+    const row = (y, cell) =>
+      Array.from({ length: SEA }, (_, x) => cell(y * SEA + x)).join("");
+    return [
+      "  You     Them",
+      "  abcdef  abcdef",
+      ...Array.from(
+        { length: SEA },
+        (_, y) =>
+          `${y + 1} ${row(
+            y,
+            (c) => s.incoming[c] || (ships.has(c) ? "=" : ".")
+          )}  ${row(y, (c) => s.fired[c] || ".")}`
+      ),
+    ];
+  },
+};
 
-    ws.on("message", (data, isBinary) => {
-      if (peerId && this.conns.has(peerId)) {
-        this.conns.get(peerId).lastSeen = Date.now();
-      }
+const HANGMAN_WORDS = [
+  "network",
+  "packet",
+  "router",
+  "socket",
+  "gateway",
+  "protocol",
+  "firewall",
+  "bandwidth",
+  "latency",
+  "terminal",
+  "compiler",
+  "variable",
+  "keyboard",
+  "library",
+];
+const HANGMAN_LIVES = 6;
 
-      if (isBinary) {
-        const parsed = Protocol.parseBinary(Buffer.from(data));
-        if (parsed && this.transfers.has(parsed.header.fileId)) {
-          this.transfers.get(parsed.header.fileId).stream.write(parsed.data);
-        }
-        return;
-      }
-      try {
-        const { type, payload } = JSON.parse(data.toString());
-        switch (type) {
-          case "pair":
-            peerId = payload.fromId;
-            connectionData.meta = payload;
-            this.conns.set(peerId, connectionData);
-            this.emit("conns_update");
-            this.emit(
-              "log",
-              `${COLORS.me}Linked with ${payload.name}${COLORS.reset}`
-            );
-            if (!payload.ack)
-              this._send(ws, "pair", {
-                fromId: this.identity.id,
-                name: this.identity.username,
-                ack: true,
-              });
-            break;
+// The host picks the word (or a random one) and answers every guess.
+const Hangman = {
+  title: "Hangman",
+  help: "/move <letter>",
+  players: ["host", "guesser"],
+  create(me, setup, args) {
+    const base = { me, wrong: [], pending: null };
+    if (me === "guesser")
+      return { ...base, mask: "_".repeat(setup?.length || 0) };
+    const word = /^[a-z]{3,20}$/i.test(args || "")
+      ? args.toLowerCase()
+      : HANGMAN_WORDS[Math.floor(Math.random() * HANGMAN_WORDS.length)];
+    return { ...base, word, mask: "_".repeat(word.length) };
+  },
+  setup: (s) => ({ length: s.word.length }),
+  // The same bounds a host's own word is held to.
+  checkSetup: (setup) =>
+    Number.isInteger(setup?.length) && setup.length >= 3 && setup.length <= 20,
+  parseMove: (args) =>
+    /^[a-z]$/i.test(args.trim())
+      ? { letter: args.trim().toLowerCase() }
+      : "Guess a single letter.",
+  apply(s, move, role) {
+    if (role === "guesser") {
+      const ok =
+        s.pending === null &&
+        /^[a-z]$/.test(move.letter) &&
+        !s.wrong.includes(move.letter) &&
+        !s.mask.includes(move.letter);
+      if (ok) s.pending = move.letter;
+      return ok;
+    }
+    if (move.letter !== s.pending || !Array.isArray(move.positions))
+      return false;
+    const mask = [...s.mask];
+    // Each position once, and only where the word is still hidden.
+    const fresh = move.positions.every(
+      (i, k) =>
+        Number.isInteger(i) &&
+        mask[i] === "_" &&
+        move.positions.indexOf(i) === k
+    );
+    if (!fresh) return false;
+    move.positions.forEach((i) => (mask[i] = move.letter));
+    s.mask = mask.join("");
+    if (move.positions.length === 0) s.wrong.push(move.letter);
+    if (move.word) s.word = move.word;
+    s.pending = null;
+    return true;
+  },
+  reply(s, move) {
+    if (s.me !== "host" || "positions" in move) return null;
+    const positions = [...s.word].flatMap((c, i) =>
+      c === move.letter ? [i] : []
+    );
+    const lost = !positions.length && s.wrong.length + 1 >= HANGMAN_LIVES;
+    // The word is only revealed once the guesser is out of lives.
+    return { letter: move.letter, positions, word: lost ? s.word : undefined };
+  },
+  turn: (s) => (s.pending === null ? "guesser" : null),
+  winner: (s) =>
+    !s.mask.includes("_")
+      ? "guesser"
+      : s.wrong.length >= HANGMAN_LIVES
+      ? "host"
+      : null,
+  secret: (s) => (s.me === "host" ? s.word : undefined),
+  // Checks the mask and every miss against the host's real word.
+  verify(s, word) {
+    if (typeof word !== "string" || word.length !== s.mask.length)
+      return "the word does not fit the board";
+    if (s.word && s.word !== word) return "the word differs from the one shown";
+    const shown = [...s.mask];
+    if (shown.some((c, i) => c !== "_" && c !== word[i]))
+      return "letters were placed where the word does not have them";
+    if ([...word].some((c, i) => shown.includes(c) && shown[i] !== c))
+      return "a guessed letter was left hidden";
+    const missed = s.wrong.find((c) => word.includes(c));
+    if (missed) return `"${missed}" was called a miss but is in the word`;
+    return null;
+  },
+  view: (s) => ({ mask: s.mask, wrong: s.wrong, pending: s.pending }),
+  restore: (s, v) =>
+    Object.assign(s, { mask: v.mask, wrong: [...v.wrong], pending: v.pending }),
+  checkView: (v, s) =>
+    typeof v?.mask === "string" &&
+    /^[a-z_]{3,20}$/.test(v.mask) &&
+    (!s || v.mask.length === s.mask.length) &&
+    Array.isArray(v.wrong) &&
+    v.wrong.length <= HANGMAN_LIVES &&
+    v.wrong.every((c) => /^[a-z]$/.test(c)) &&
+    (v.pending === null || /^[a-z]$/.test(v.pending)),
+  watch(v) {
+    return this.render({ ...v, me: null });
+  },
+  render: (s) => [
+    [...s.mask].join(" "),
+    "",
+    `Misses: ${s.wrong.join(" ") || "-"} (${s.wrong.length}/${HANGMAN_LIVES})`,
+    ...(s.me === "host" || s.word ? [`Word: ${s.word}`] : []),
+  ],
+};
 
-          case "msg":
-            this.emit("chat", payload);
-            break;
+const GAMES = {
+  tictactoe: TicTacToe,
+  connect4: ConnectFour,
+  battleship: Battleship,
+  hangman: Hangman,
+};
+const GAME_ALIASES = { ttt: "tictactoe", c4: "connect4", bs: "battleship" };
 
-          case "nudge":
-            this.emit("nudge_event", payload.fromName);
-            break;
+// --- TRANSFERS ---
+// Receive policy, re-read on every offer like the shell policy:
+// {
+//   "default": "ask",              accept | ask | reject when no rule matches
+//   "maxFileSize": 2147483648,     larger offers are rejected outright
+//   "quota": 10737418240,          total bytes received_files may hold
+//   "perPeerFolders": true,        save into received_files/<name>-<id>/
+//   "rules": [                     first match wins; a missing field matches all
+//     { "action": "reject", "ext": [".exe", ".bat"] },
+//     { "action": "accept", "from": ["<peer id or name>"], "maxSize": 10485760 }
+//   ]
+// }
+// A name in "from" only matches a peer you have /verify'd, by the name
+// pinned with its key; peers choose their own names, so anyone could
+// claim an unverified one.
+const DEFAULT_RECEIVE_POLICY = {
+  default: "ask",
+  maxFileSize: 2 * 1024 * 1024 * 1024,
+  quota: 10 * 1024 * 1024 * 1024,
+  perPeerFolders: true,
+  rules: [],
+};
 
-          case "shell-req":
-            this.pendingShell = { fromId: payload.fromId, cmd: payload.cmd };
-            this.emit(
-              "log",
-              `${COLORS.err}[SECURITY WARNING]${COLORS.reset} ${payload.fromName} wants to run: ${COLORS.cmd}${payload.cmd}${COLORS.reset}`
-            );
-            this.emit(
+// Folders travel as a tar whose exact size the sender can only estimate,
+// so they get some room for headers; the unpacked bytes are checked later.
+const receiveLimit = (t) => (t.isDir ? t.wireSize * 1.1 + 1024 * 1024 : t.size);
+
+const loadReceivePolicy = (file = CONFIG.RECEIVE_POLICY_FILE) => {
+  if (!fs.existsSync(file)) saveJSON(file, DEFAULT_RECEIVE_POLICY);
+  return { ...DEFAULT_RECEIVE_POLICY, ...loadJSON(file, {}) };
+};
+
+// Returns { action: "accept" | "ask" | "reject", reason }. Folders match
+// the extension "/". `pinnedName` is null unless the peer is verified.
+const evaluateOffer = (policy, { peerId, pinnedName, name, size, isDir }) => {
+  if (size > policy.maxFileSize)
+    return {
+      action: "reject",
+      reason: `larger than the ${kb(policy.maxFileSize)} limit`,
+    };
+  const ext = isDir ? "/" : path.extname(name).toLowerCase();
+  const rule = (policy.rules || []).find(
+    (r) =>
+      (!r.from ||
+        r.from.some(
+          (f) =>
+            f === peerId ||
+            (pinnedName && f.toLowerCase() === pinnedName.toLowerCase())
+        )) &&
+      (!r.ext || r.ext.map((e) => e.toLowerCase()).includes(ext)) &&
+      (r.maxSize == null || size <= r.maxSize)
+  );
+  if (rule) return { action: rule.action, reason: "matches a receive rule" };
+  return { action: policy.default, reason: "default policy" };
+};
+
+const fmtRate = (bps) =>
+  bps >= 1024 * 1024
+    ? `${(bps / 1024 / 1024).toFixed(1)}MB/s`
+    : `${(bps / 1024).toFixed(0)}kb/s`;
+
+const fmtEta = (sec) => {
+  if (!isFinite(sec)) return "--";
+  if (sec < 60) return `${Math.ceil(sec)}s`;
+  const mins = Math.floor(sec / 60);
+  const secs = String(Math.ceil(sec % 60)).padStart(2, "0");
+  return `${mins}m${secs}s`;
+};
+
+// Tracks every file moving in either direction, keyed by direction, fileId
+// and peer: one offer can go to many peers, and a peer picks the fileIds of
+// what it sends us, so it must not be able to collide with anyone else's.
+class TransferManager extends EventEmitter {
+  constructor() {
+    super();
+    this.items = new Map();
+    this.renderTimer = null;
+  }
+
+  static key(direction, fileId, peerId) {
+    return `${direction}:${fileId}:${peerId}`;
+  }
+
+  add(item) {
+    const t = {
+      state: "pending",
+      done: 0,
+      rate: 0,
+      stream: null,
+      ...item,
+      key: TransferManager.key(item.direction, item.fileId, item.peerId),
+      sample: { at: Date.now(), bytes: 0 },
+    };
+    this.items.set(t.key, t);
+    this.changed();
+    return t;
+  }
+
+  get(direction, fileId, peerId) {
+    return this.items.get(TransferManager.key(direction, fileId, peerId));
+  }
+
+  remove(t) {
+    this.items.delete(t.key);
+    this.emit("removed", t);
+    this.changed();
+  }
+
+  find(ref) {
+    return this.list().filter((t) => ref && t.fileId.startsWith(ref));
+  }
+
+  list() {
+    return Array.from(this.items.values());
+  }
+
+  setState(t, state) {
+    t.state = state;
+    if (state === "active") t.sample = { at: Date.now(), bytes: t.done };
+    else t.rate = 0;
+    this.changed();
+  }
+
+  progress(t, bytes) {
+    t.done += bytes;
+    const now = Date.now();
+    const dt = now - t.sample.at;
+    if (dt >= 500) {
+      const rate = ((t.done - t.sample.bytes) * 1000) / dt;
+      t.rate = t.rate ? t.rate * 0.7 + rate * 0.3 : rate;
+      t.sample = { at: now, bytes: t.done };
+    }
+    this.changed();
+  }
+
+  percent(t) {
+    if (!t.wireSize) return 0;
+    return Math.min(100, Math.floor((t.done / t.wireSize) * 100));
+  }
+
+  eta(t) {
+    return t.rate > 0 ? Math.max(0, t.wireSize - t.done) / t.rate : Infinity;
+  }
+
+  describe(t) {
+    const arrow = t.direction === "in" ? "<-" : "->";
+    const stats =
+      t.state === "active"
+        ? ` ${this.percent(t)}% ${fmtRate(t.rate)} ETA ${fmtEta(this.eta(t))}`
+        : ` ${this.percent(t)}%`;
+    return `[${shortId(t.fileId)}] ${t.name} ${arrow} ${t.peerName} ${
+      t.state
+    }${stats}`;
+  }
+
+  // Progress fires per chunk; coalesce UI refreshes.
+  changed() {
+    if (this.renderTimer) return;
+    this.renderTimer = setTimeout(() => {
+      this.renderTimer = null;
+      this.emit("update");
+    }, 250);
+  }
+}
+
+// --- HISTORY ---
+// One append-only JSONL file per conversation.
+// Receipts are appended as { ack: msgId, ... } lines and folded in on load.
+const RECEIPT_RANK = { delivered: 1, read: 2 };
+
+class ChatHistory {
+  constructor(dir = CONFIG.DIR_HISTORY) {
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  _file(convo) {
+    return path.join(this.dir, `${convo.replace(/[^\w-]/g, "_")}.jsonl`);
+  }
+
+  append(convo, entry) {
+    fs.appendFileSync(this._file(convo), JSON.stringify(entry) + "\n");
+  }
+
+  setStatus(convo, id, peerId, status) {
+    this.append(convo, { ack: id, peerId, status, ts: Date.now() });
+  }
+
+  load(convo, limit = 200) {
+    let raw = "";
+    try {
+      raw = fs.readFileSync(this._file(convo), "utf-8");
+    } catch (e) {
+      return [];
+    }
+    const entries = [];
+    const byId = new Map();
+    for (const line of raw.split("\n")) {
+      if (!line) continue;
+      let e;
+      try {
+        e = JSON.parse(line);
+      } catch (err) {
+        continue;
+      }
+      if (!e.ack) {
+        entries.push(e);
+        if (e.id) byId.set(e.id, e);
+        continue;
+      }
+      const m = byId.get(e.ack);
+      if (!m) continue;
+      if (e.status === "sent") m.queued = false;
+      else if (RECEIPT_RANK[e.status]) {
+        m.receipts = m.receipts || {};
+        const prev = m.receipts[e.peerId];
+        if (!prev || RECEIPT_RANK[e.status] > RECEIPT_RANK[prev])
+          m.receipts[e.peerId] = e.status;
+      }
+    }
+    return entries.slice(-limit);
+  }
+
+  search(query, limit = 50) {
+    const q = query.toLowerCase();
+    return fs
+      .readdirSync(this.dir)
+      .filter((f) => f.endsWith(".jsonl"))
+      .flatMap((f) => this.load(path.basename(f, ".jsonl"), Infinity))
+      .filter((e) => String(e.text).toLowerCase().includes(q))
+      .sort((a, b) => a.ts - b.ts)
+      .slice(-limit);
+  }
+}
+
+// --- REMOTE SHELL ---
+// Policy file, re-read on every request so edits apply without a restart:
+// {
+//   "default": "ask",             ask | deny, for anything not matched below
+//   "denyUnverified": false,      auto-deny peers whose key is not /verify'd
+//   "timeout": 600000,            ms before the job is killed, 0 for no limit
+//   "maxOutput": 1048576,         bytes of output streamed before the job is killed
+//   "deny": ["rm *"],             patterns auto-denied for every peer
+//   "peers": { "<peer id>": { "allow": ["git status"], "deny": [], "default": "ask" } }
+// }
+// Patterns are whole-command globs where * matches anything. Allowlisted
+// commands run without a prompt, unless they contain shell operators.
+const DEFAULT_SHELL_POLICY = {
+  default: "ask",
+  denyUnverified: false,
+  timeout: 10 * 60 * 1000,
+  maxOutput: 1024 * 1024,
+  deny: [],
+  peers: {},
+};
+
+const SHELL_OPERATORS = /[;&|`$<>\n]/;
+
+const loadShellPolicy = (file = CONFIG.SHELL_POLICY_FILE) => {
+  if (!fs.existsSync(file)) saveJSON(file, DEFAULT_SHELL_POLICY);
+  return { ...DEFAULT_SHELL_POLICY, ...loadJSON(file, {}) };
+};
+
+const matchCommand = (pattern, cmd) =>
+  new RegExp(
+    `^${pattern
+      .trim()
+      .split("*")
+      .map((p) => p.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*")}$`
+  ).test(cmd.trim());
+
+// Returns { action: "allow" | "deny" | "ask", reason }.
+const evaluateShell = (policy, peerId, cmd, verified) => {
+  const rules = policy.peers?.[peerId] || {};
+  // Deny rules also apply to each part of a chained command.
+  const parts = [cmd, ...cmd.split(/[;&|\n]+/).filter((c) => c.trim())];
+  const denied = [...(policy.deny || []), ...(rules.deny || [])].find((p) =>
+    parts.some((c) => matchCommand(p, c))
+  );
+  if (denied)
+    return { action: "deny", reason: `matches deny rule "${denied}"` };
+  if (policy.denyUnverified && !verified)
+    return { action: "deny", reason: "peer key is not verified" };
+  const allowed = (rules.allow || []).find((p) => matchCommand(p, cmd));
+  if (allowed && !SHELL_OPERATORS.test(cmd))
+    return { action: "allow", reason: `matches allow rule "${allowed}"` };
+  const fallback = rules.default || policy.default;
+  if (fallback === "deny") return { action: "deny", reason: "default policy" };
+  return { action: "ask", reason: allowed ? "contains shell operators" : "" };
+};
+
+// Calls onLine for every complete line; flush() emits any unterminated tail.
+// A line longer than `max` is passed on in pieces so the buffer stays small.
+const lineSplitter = (onLine, max = 64 * 1024) => {
+  let rest = "";
+  return {
+    push(chunk) {
+      const lines = (rest + chunk).split("\n");
+      rest = lines.pop();
+      lines.forEach((l) => onLine(l.replace(/\r$/, "")));
+      while (rest.length > max) {
+        onLine(rest.slice(0, max));
+        rest = rest.slice(max);
+      }
+    },
+    flush() {
+      if (rest) onLine(rest);
+      rest = "";
+    },
+  };
+};
+
+const KILL_GRACE = 3000; // ms between SIGTERM and SIGKILL
+
+// Jobs are detached, so any still running when we exit are killed with us.
+const liveJobs = new Set();
+process.on("exit", () =>
+  liveJobs.forEach((child) => signalJob(child, "SIGKILL"))
+);
+
+// Jobs run in their own process group so a signal takes the whole pipeline.
+const signalJob = (child, signal) => {
+  try {
+    if (process.platform === "win32") child.kill(signal);
+    else process.kill(-child.pid, signal);
+  } catch (e) {}
+};
+
+// Asks politely, then forces it if the job ignores SIGTERM.
+const killJob = (child) => {
+  signalJob(child, "SIGTERM");
+  setTimeout(() => {
+    if (liveJobs.has(child)) signalJob(child, "SIGKILL");
+  }, KILL_GRACE).unref();
+};
+
+const auditShell = (file, entry) =>
+  fs.appendFileSync(file, JSON.stringify({ ts: Date.now(), ...entry }) + "\n");
+
+// --- TRANSPORT ---
+// NetworkNode talks to the network through two small interfaces, so the
+// same node runs over real sockets or over the in-memory network below.
+//
+// transport.listen(port, { onSocket, onRequest, onUpgrade }) resolves with
+//   the port actually bound. onSocket(ws, address) gets each peer that
+//   dials in; onRequest/onUpgrade let the web UI share the port.
+// transport.dial(address, port) returns a socket at once, which later
+//   emits "open", or "error" and "close".
+// transport.close()
+//
+// Sockets behave like a `ws` WebSocket: send(data, cb), ping(), close(),
+// terminate(), readyState, bufferedAmount, and the events "open",
+// "message" (data, isBinary), "pong", "close" and "error".
+//
+// discovery.start(self, { onUp(info, addresses), onDown(id, via) }) where
+//   self is { id, name, port } and info is { id, name, port, via }.
+// discovery.stop()
+
+// WebSockets on an http server, walking up the port range when the
+// configured port is taken (a second instance on this machine).
+class WsTransport {
+  listen(port, { onSocket, onRequest, onUpgrade }) {
+    this.server = http.createServer((q, r) => {
+      if (onRequest?.(q, r)) return;
+      r.writeHead(200);
+      r.end("LAN-OS OMEGA");
+    });
+    this.wss = new WebSocketServer({ server: this.server });
+    // Listen errors are handled on the http server below.
+    this.wss.on("error", () => {});
+    this.wss.on("connection", (ws, req) => {
+      if (onUpgrade?.(ws, req)) return;
+      onSocket(ws, req.socket.remoteAddress?.replace(/^::ffff:/, ""));
+    });
+
+    // Listen dual-stack when the OS allows it.
+    let host = "::";
+    return new Promise((resolve, reject) => {
+      this.server.on("error", (e) => {
+        if (e.code === "EAFNOSUPPORT" && host === "::") host = "0.0.0.0";
+        else if (e.code === "EADDRINUSE" && port < CONFIG.PORT_RANGE.max)
+          port++;
+        else return reject(e);
+        this.server.listen(port, host);
+      });
+      this.server.listen(port, host, () => resolve(port));
+    });
+  }
+
+  dial(address, port) {
+    return new WebSocket(`ws://${hostForUrl(address)}:${port}`);
+  }
+
+  close() {
+    this.wss?.close();
+    this.server?.close();
+  }
+}
+
+// Multicast DNS, plus UDP broadcast beacons for networks that filter it.
+class LanDiscovery {
+  start(self, { onUp, onDown, onError }) {
+    this.bonjour = Bonjour();
+    this.bonjour.publish({
+      name: self.name,
+      type: CONFIG.SERVICE_TYPE,
+      port: self.port,
+      txt: { id: self.id, v: String(PROTOCOL_VERSION) },
+    });
+    this.bonjour.find({ type: CONFIG.SERVICE_TYPE }).on("up", (s) => {
+      if (s.txt?.id && s.txt.id !== self.id)
+        onUp({ id: s.txt.id, name: s.name, port: s.port, via: "mdns" }, [
+          ...(s.addresses || []),
+          s.referer?.address,
+        ]);
+    });
+    this.bonjour.find({ type: CONFIG.SERVICE_TYPE }).on("down", (s) => {
+      if (s.txt?.id) onDown(s.txt.id);
+    });
+    this._startBeacons(self, { onUp, onDown, onError });
+  }
+
+  _startBeacons(self, { onUp, onDown, onError }) {
+    const seen = new Map(); // id -> last beacon
+    const sock = dgram.createSocket({ type: "udp4", reuseAddr: true });
+    this.sock = sock;
+    sock.on("error", (e) => {
+      onError?.(`Broadcast discovery off: ${e.message}`);
+      sock.close();
+    });
+    sock.on("message", (buf, rinfo) => {
+      let b;
+      try {
+        b = JSON.parse(buf.toString());
+      } catch (e) {
+        return;
+      }
+      if (b.app !== "lan-os" || !b.id || b.id === self.id) return;
+      seen.set(b.id, Date.now());
+      onUp({ id: b.id, name: b.name, port: b.port, via: "udp" }, [
+        rinfo.address,
+      ]);
+    });
+    sock.bind(CONFIG.DISCOVERY_PORT, () => {
+      sock.setBroadcast(true);
+      const beacon = () => {
+        const msg = JSON.stringify({
+          app: "lan-os",
+          id: self.id,
+          name: self.name,
+          port: self.port,
+          v: PROTOCOL_VERSION,
+        });
+        broadcastAddresses().forEach((addr) =>
+          sock.send(msg, CONFIG.DISCOVERY_PORT, addr, () => {})
+        );
+        // Beacon-only peers vanish once they stop announcing.
+        seen.forEach((at, id) => {
+          if (Date.now() - at <= CONFIG.BEACON_INTERVAL * 3) return;
+          seen.delete(id);
+          onDown(id, "udp");
+        });
+      };
+      beacon();
+      this.timer = setInterval(beacon, CONFIG.BEACON_INTERVAL);
+    });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    try {
+      this.sock?.close();
+    } catch (e) {}
+    this.bonjour?.destroy();
+  }
+}
+
+// One simulated LAN shared by many nodes in a single process. Every node
+// gets an address; links between two addresses have conditions:
+//   latency, jitter  ms added to each frame (order is kept)
+//   bandwidth        bytes/s each direction, 0 for unlimited
+//   loss             chance 0..1 that a frame is dropped. Real WebSockets
+//                    never lose frames, so this is harsher than a LAN.
+// A partition cuts links silently, as a pulled cable would; the nodes only
+// notice when pings time out.
+const DEFAULT_LINK = { latency: 2, jitter: 0, bandwidth: 0, loss: 0 };
+
+class MemoryNetwork {
+  constructor(conditions = {}) {
+    this.defaults = { ...DEFAULT_LINK, ...conditions };
+    this.links = new Map(); // "a|b" -> conditions
+    this.listeners = new Map(); // "address:port" -> onSocket
+    this.announced = new Map(); // address -> { self, handlers }
+    this.sockets = new Set();
+    this.groups = null; // address -> partition index, while partitioned
+  }
+
+  _key(a, b) {
+    return a < b ? `${a}|${b}` : `${b}|${a}`;
+  }
+
+  conditions(a, b) {
+    return { ...this.defaults, ...this.links.get(this._key(a, b)) };
+  }
+
+  setConditions(a, b, conditions) {
+    const key = this._key(a, b);
+    this.links.set(key, { ...this.links.get(key), ...conditions });
+  }
+
+  reachable(a, b) {
+    if (!this.groups) return true;
+    const group = this.groups.get(a);
+    return group !== undefined && group === this.groups.get(b);
+  }
+
+  // Each argument is a list of addresses that can still reach each other.
+  // Addresses not listed are cut off from everyone.
+  partition(...groups) {
+    this._regroup(
+      new Map(groups.flatMap((g, i) => g.map((addr) => [addr, i])))
+    );
+  }
+
+  heal() {
+    this._regroup(null);
+  }
+
+  // Tells discovery on each side about peers it lost or regained.
+  _regroup(groups) {
+    const nodes = [...this.announced.entries()];
+    const pairs = nodes.flatMap(([a, me]) =>
+      nodes
+        .filter(([b]) => b !== a)
+        .map(([b, them]) => ({ me, them, b, was: this.reachable(a, b), a }))
+    );
+    this.groups = groups;
+    pairs.forEach(({ me, them, a, b, was }) => {
+      const now = this.reachable(a, b);
+      if (was && !now) me.handlers.onDown(them.self.id);
+      if (!was && now) me.handlers.onUp({ ...them.self, via: "sim" }, [b]);
+    });
+  }
+
+  // Drops every socket between two addresses at once, like a reset link.
+  disconnect(a, b) {
+    this.sockets.forEach((s) => {
+      if (
+        (s.local === a && s.remote === b) ||
+        (s.local === b && s.remote === a)
+      )
+        s.terminate();
+    });
+  }
+
+  announce(address, self, handlers) {
+    this.announced.forEach((other, addr) => {
+      if (!this.reachable(address, addr)) return;
+      other.handlers.onUp({ ...self, via: "sim" }, [address]);
+      handlers.onUp({ ...other.self, via: "sim" }, [addr]);
+    });
+    this.announced.set(address, { self, handlers });
+  }
+
+  withdraw(address) {
+    const me = this.announced.get(address);
+    if (!me) return;
+    this.announced.delete(address);
+    this.announced.forEach((other, addr) => {
+      if (this.reachable(address, addr)) other.handlers.onDown(me.self.id);
+    });
+  }
+}
+
+class MemorySocket extends EventEmitter {
+  constructor(network, local, remote) {
+    super();
+    this.network = network;
+    this.local = local;
+    this.remote = remote;
+    this.peer = null;
+    this.readyState = WebSocket.CONNECTING;
+    this.bufferedAmount = 0;
+    this.binaryType = "nodebuffer";
+    this.lastArrival = 0;
+    this.busyUntil = 0;
+    network.sockets.add(this);
+  }
+
+  // Delivers after the link's latency, keeping frames in order and
+  // holding them in bufferedAmount until they arrive.
+  _transmit(size, deliver, cb) {
+    const net = this.network;
+    const link = net.conditions(this.local, this.remote);
+    const now = Date.now();
+    const start = Math.max(now, this.busyUntil);
+    this.busyUntil =
+      start + (link.bandwidth ? (size * 1000) / link.bandwidth : 0);
+    const at = Math.max(
+      this.busyUntil + link.latency + Math.random() * link.jitter,
+      this.lastArrival
+    );
+    this.lastArrival = at;
+    this.bufferedAmount += size;
+    const lost =
+      Math.random() < link.loss || !net.reachable(this.local, this.remote);
+    setTimeout(() => {
+      this.bufferedAmount -= size;
+      cb?.();
+      if (!lost && this.peer?.readyState === WebSocket.OPEN) deliver();
+    }, at - now);
+  }
+
+  send(data, cb) {
+    if (this.readyState !== WebSocket.OPEN)
+      return cb?.(new Error("Socket is not open"));
+    const isBinary = typeof data !== "string";
+    const buf = Buffer.from(data);
+    this._transmit(
+      buf.length,
+      () => this.peer.emit("message", buf, isBinary),
+      cb
+    );
+  }
+
+  ping() {
+    if (this.readyState !== WebSocket.OPEN) return;
+    this._transmit(0, () => this.peer._transmit(0, () => this.emit("pong")));
+  }
+
+  // A clean close reaches the other side after the link's latency.
+  close() {
+    if (this.readyState >= WebSocket.CLOSING) return;
+    if (this.readyState === WebSocket.OPEN)
+      this._transmit(0, () => this.peer._closed(1000));
+    this._closed(1000);
+  }
+
+  // Drops the socket at once; the other side is not told.
+  terminate() {
+    this._closed(1006);
+  }
+
+  _closed(code) {
+    if (this.readyState === WebSocket.CLOSED) return;
+    this.readyState = WebSocket.CLOSED;
+    this.network.sockets.delete(this);
+    this.emit("close", code, Buffer.alloc(0));
+  }
+}
+
+class MemoryTransport {
+  constructor(network, address) {
+    this.network = network;
+    this.address = address;
+  }
+
+  listen(port, { onSocket }) {
+    const key = `${this.address}:${port}`;
+    if (this.network.listeners.has(key))
+      return Promise.reject(new Error(`${key} is already in use`));
+    this.network.listeners.set(key, onSocket);
+    this.key = key;
+    return Promise.resolve(port);
+  }
+
+  dial(address, port) {
+    const net = this.network;
+    const ws = new MemorySocket(net, this.address, address);
+    const { latency } = net.conditions(this.address, address);
+    // Unreachable hosts never answer, so the dialer's own timeout fires.
+    if (!net.reachable(this.address, address)) return ws;
+    setTimeout(() => {
+      if (ws.readyState !== WebSocket.CONNECTING) return;
+      const onSocket = net.listeners.get(`${address}:${port}`);
+      if (!onSocket) {
+        ws.emit("error", new Error(`connect ECONNREFUSED ${address}:${port}`));
+        return ws._closed(1006);
+      }
+      const server = new MemorySocket(net, address, this.address);
+      ws.peer = server;
+      server.peer = ws;
+      ws.readyState = server.readyState = WebSocket.OPEN;
+      onSocket(server, this.address);
+      ws.emit("open");
+    }, latency * 2);
+    return ws;
+  }
+
+  close() {
+    this.network.listeners.delete(this.key);
+  }
+}
+
+class MemoryDiscovery {
+  constructor(network, address) {
+    this.network = network;
+    this.address = address;
+  }
+
+  start(self, handlers) {
+    this.network.announce(this.address, self, handlers);
+  }
+
+  stop() {
+    this.network.withdraw(this.address);
+  }
+}
+
+// --- DIAGNOSTICS ---
+// Per-peer link counters, kept for the whole session so reconnects do not
+// reset them. RTT comes from our keepalive pings; bandwidth is sampled on
+// the same tick. File chunks are counted apart from protocol frames.
+class LinkStats {
+  constructor() {
+    this.bytesIn = 0;
+    this.bytesOut = 0;
+    this.msgsIn = 0;
+    this.msgsOut = 0;
+    this.fileBytesIn = 0;
+    this.fileBytesOut = 0;
+    this.rtt = null; // ms, latest
+    this.rttHistory = [];
+    this.bwHistory = []; // bytes/s, both directions
+    this.links = 0; // times paired this session
+    this.redials = 0; // reconnect attempts
+    this.linkedAt = null;
+    this.sample = { at: Date.now(), bytes: 0 };
+  }
+
+  get reconnects() {
+    return Math.max(0, this.links - 1);
+  }
+
+  recordIn(bytes, isFile) {
+    this.bytesIn += bytes;
+    if (isFile) this.fileBytesIn += bytes;
+    else this.msgsIn++;
+  }
+
+  recordOut(bytes, isFile) {
+    this.bytesOut += bytes;
+    if (isFile) this.fileBytesOut += bytes;
+    else this.msgsOut++;
+  }
+
+  recordRtt(ms) {
+    this.rtt = ms;
+    this._keep(this.rttHistory, ms);
+  }
+
+  tick(now = Date.now()) {
+    const dt = now - this.sample.at;
+    if (dt <= 0) return;
+    const bytes = this.bytesIn + this.bytesOut;
+    this._keep(this.bwHistory, ((bytes - this.sample.bytes) * 1000) / dt);
+    this.sample = { at: now, bytes };
+  }
+
+  // { min, avg, max } over the kept samples, or null before the first pong.
+  rttRange() {
+    const h = this.rttHistory;
+    if (h.length === 0) return null;
+    return {
+      min: Math.min(...h),
+      avg: Math.round(h.reduce((a, b) => a + b, 0) / h.length),
+      max: Math.max(...h),
+    };
+  }
+
+  _keep(list, value) {
+    list.push(value);
+    if (list.length > CONFIG.STATS_HISTORY) list.shift();
+  }
+}
+
+// --- NETWORK CORE ---
+// State files default to the profile's; a simulated node gets its own.
+const stateFiles = (dir) =>
+  Object.fromEntries(
+    Object.entries(CONFIG)
+      .filter(([k]) => /_FILE$|^DIR_/.test(k))
+      .map(([k, v]) => [k, dir ? path.join(dir, path.basename(v)) : v])
+  );
+
+class NetworkNode extends EventEmitter {
+  constructor(
+    identity,
+    keys = loadKeys(),
+    {
+      transport = new WsTransport(),
+      discovery = new LanDiscovery(),
+      files = stateFiles(),
+    } = {}
+  ) {
+    super();
+    this.identity = identity;
+    this.keys = keys;
+    this.transport = transport;
+    this.discovery = discovery;
+    this.files = files;
+    this.timers = [];
+    this.stopped = false;
+    this.fingerprint = fingerprint(keys.publicKey);
+    this.knownPeers = loadJSON(this.files.KNOWN_PEERS_FILE, {});
+    this.keyConflicts = new Map();
+    this.sessions = new WeakMap(); // ws -> { eph, tx, rx, sent, received, stats }
+    this.linkStats = new Map(); // peer id -> LinkStats
+    this.loopLag = 0; // ms our own event loop ran late, see start()
+    this.port = CONFIG.PORT;
+    this.peers = new Map();
+    this.conns = new Map();
+    this.transfers = new TransferManager();
+    this.history = new ChatHistory(this.files.DIR_HISTORY);
+    this.games = new Map(); // game id -> { type, peerId, role, state, status }
+    this.activeGame = null; // game shown in the panel
+    this.watching = new Map(); // peer id -> game id we watch, null while asked
+    this.scores = loadJSON(this.files.SCORES_FILE, {}); // peer id -> W/L/D
+    this.activeTarget = "general";
+    this.outbox = loadJSON(this.files.OUTBOX_FILE, {}); // peerId -> [msg]
+    this.unread = new Map(); // convo -> [{ peerId, ack }]
+    this.joinedRooms = new Set(loadJSON(this.files.ROOMS_FILE, []));
+    this.rooms = new Map(); // "#room" -> Set of member peer ids
+    // Relay and quiet moved to CONFIG; see OPTIONS.
+    const { relay, quiet, ...settings } = loadJSON(
+      this.files.SETTINGS_FILE,
+      {}
+    );
+    this.settings = { blocked: [], muted: [], ...settings };
+    this.flood = new FloodGuard(CONFIG.FLOOD_LIMITS, CONFIG.FLOOD_PENALTY);
+    this.mesh = new Map(); // origin id -> last route announcement
+    this.seenRelays = new Set();
+    this.announceTimer = null;
+    this.contacts = loadJSON(this.files.CONTACTS_FILE, {}); // id -> contact
+    this.reconnects = new Map(); // id -> { attempt, timer }
+    this.dialing = new Set();
+    this.seenMsgs = new Set();
+    this.web = null; // optional browser UI, see startWebUi
+    this.shellRequests = new Map(); // request id -> incoming shell request
+    this.jobs = new Map(); // job id -> job we run, or one we asked a peer for
+    // "auto" marks an away we set after idling, undone by any activity.
+    this.presence = {
+      state: "online",
+      text: this.settings.status || "",
+      auto: false,
+    };
+    this.lastActivity = Date.now();
+    this.typing = null; // { to, at } while we tell a DM peer we're typing
+    this.shares = loadJSON(this.files.SHARES_FILE, {}); // name -> { path, to }
+    this.shareRequests = new Map(); // request id -> { kind, peerId, path }
+  }
+
+  start() {
+    // A late tick means our own process is busy, not the network, which
+    // is what /stats reports as loop lag.
+    let lastTick = Date.now();
+    this.timers.push(
+      setInterval(() => {
+        const now = Date.now();
+        this.loopLag = Math.max(0, now - lastTick - CONFIG.PING_INTERVAL);
+        lastTick = now;
+        this.conns.forEach((c, id) => {
+          if (now - c.lastSeen > CONFIG.CONNECTION_TIMEOUT) {
+            this.emit(
               "log",
-              `Type ${COLORS.cmd}/allow${COLORS.reset} to execute or ignore to deny.`
+              `${COLORS.err}Timed out: ${c.meta.name} (No response for ${
+                CONFIG.CONNECTION_TIMEOUT / 1000
+              }s)${COLORS.reset}`
             );
-            break;
+            return c.ws.terminate();
+          }
+          c.stats?.tick(now);
+          try {
+            c.ws.ping();
+            // Pongs carry nothing to match them by, so the clock only
+            // starts when none are owed and the next pong is this ping's.
+            if (!c.pingsOwed) c.pingAt = now;
+            c.pingsOwed = (c.pingsOwed || 0) + 1;
+          } catch (e) {}
+        });
+        this.emit("stats_update");
+      }, CONFIG.PING_INTERVAL),
+      setInterval(() => this._announceRoute(), CONFIG.ANNOUNCE_INTERVAL),
+      setInterval(() => this._checkIdle(), 30000)
+    );
+
+    this.transport
+      .listen(this.port, {
+        onSocket: (ws, address) => this._handleConn(ws, { address }),
+        onRequest: (q, r) => this.web?.handleRequest(q, r),
+        onUpgrade: (ws, req) => this.web?.handleSocket(ws, req),
+      })
+      .then(
+        (port) => {
+          this.port = port;
+          this._startDiscovery();
+          Object.keys(this.contacts).forEach((id) => this._autoDial(id));
+          this.emit("ready", this.port);
+        },
+        (e) =>
+          this.emit(
+            "log",
+            `${COLORS.err}Cannot listen: ${e.message}${COLORS.reset}`
+          )
+      );
+  }
+
+  // Closes every link and stops listening, discovery and timers. Nothing
+  // redials afterwards.
+  stop() {
+    this.stopped = true;
+    this.timers.forEach(clearInterval);
+    clearTimeout(this.announceTimer);
+    [...this.reconnects.keys()].forEach((id) => this._stopReconnect(id));
+    this.jobs.forEach((j) => {
+      if (j.remote) return;
+      j.killed = true;
+      killJob(j.child);
+    });
+    this.discovery.stop();
+    this.transport.close();
+    this.conns.forEach((c) => c.ws.close());
+  }
+
+  _startDiscovery() {
+    this.discovery.start(
+      { id: this.identity.id, name: this.identity.username, port: this.port },
+      {
+        onUp: (info, addresses) => this._addPeer(info, addresses),
+        onDown: (id, via) => this._removePeer(id, via),
+        onError: (msg) =>
+          this.emit("log", `${COLORS.err}${msg}${COLORS.reset}`),
+      }
+    );
+  }
+
+  // `via` limits the removal to peers only that source had seen.
+  _removePeer(id, via) {
+    const p = this.peers.get(id);
+    if (!p || (via && p.via !== via)) return;
+    this.peers.delete(id);
+    this.emit("peers_update");
+  }
+
+  // Merges what a discovery source saw into the "Online" list.
+  _addPeer(info, addresses) {
+    const prev = this.peers.get(info.id);
+    const sorted = sortAddresses([...addresses, ...(prev?.addresses || [])]);
+    if (sorted.length === 0) return;
+    this.peers.set(info.id, {
+      ...prev,
+      ...info,
+      via: prev?.via === "mdns" ? "mdns" : info.via,
+      address: sorted[0],
+      addresses: sorted,
+      seenAt: Date.now(),
+    });
+    if (!prev || prev.address !== sorted[0] || prev.name !== info.name)
+      this.emit("peers_update");
+    if (!prev) this._autoDial(info.id);
+  }
+
+  // quiet dials (auto-connect, reconnect) only log once they succeed.
+  connect(id, quiet = false) {
+    if (this.isBlocked(id))
+      return this.emit(
+        "log",
+        `${COLORS.err}That peer is blocked. /unblock them first.${COLORS.reset}`
+      );
+    if (this.conns.has(id)) {
+      if (!quiet)
+        this.emit("log", `${COLORS.sys}Already connected.${COLORS.reset}`);
+      return;
+    }
+    if (this.dialing.has(id)) return;
+    const p = this.peers.get(id) || this.contacts[id];
+    const candidates = p?.addresses || (p?.address ? [p.address] : []);
+    if (candidates.length === 0 || !p.port) return;
+    this.dialing.add(id);
+    this._dial(candidates, p.port, {
+      quiet,
+      onOpen: () => this.dialing.delete(id),
+      onFail: () => {
+        this.dialing.delete(id);
+        if (this.reconnects.has(id)) this._scheduleReconnect(id);
+      },
+    });
+  }
+
+  connectAddress(ref) {
+    const m =
+      /^\[([^\]]+)\](?::(\d+))?$/.exec(ref) ||
+      /^([^:\s]+)(?::(\d+))?$/.exec(ref);
+    if (!m)
+      return this.emit(
+        "log",
+        `${COLORS.err}Usage: /connect <ip>[:port] or /connect [ipv6]:port${COLORS.reset}`
+      );
+    this._dial([m[1]], Number(m[2]) || CONFIG.PORT, { quiet: false });
+  }
+
+  // Tries each candidate address in order until one accepts.
+  _dial([address, ...rest], port, { quiet, onOpen, onFail }) {
+    if (!quiet)
+      this.emit(
+        "log",
+        `${COLORS.sys}Dialing ${hostForUrl(address)}:${port}...${COLORS.reset}`
+      );
+    const ws = this.transport.dial(address, port);
+    let opened = false;
+
+    const timeout = setTimeout(() => {
+      if (ws.readyState !== WebSocket.OPEN) {
+        ws.terminate();
+        if (!quiet)
+          this.emit("log", `${COLORS.err}Connection timed out.${COLORS.reset}`);
+      }
+    }, 5000);
+
+    ws.on("error", (e) => {
+      clearTimeout(timeout);
+      if (!quiet)
+        this.emit(
+          "log",
+          `${COLORS.err}Connect Error: ${e.message}${COLORS.reset}`
+        );
+    });
+
+    ws.on("close", () => {
+      clearTimeout(timeout);
+      if (opened) return;
+      if (rest.length) this._dial(rest, port, { quiet, onOpen, onFail });
+      else onFail?.();
+    });
+
+    ws.on("open", () => {
+      opened = true;
+      clearTimeout(timeout);
+      onOpen?.();
+      this._send(ws, "pair", this._pairPayload(ws));
+      this._handleConn(ws, { outbound: true, address });
+      if (!quiet)
+        this.emit("log", `${COLORS.me}Connected! Verifying...${COLORS.reset}`);
+    });
+  }
+
+  _handleConn(ws, { outbound = false, address = null } = {}) {
+    let peerId = null;
+    ws.binaryType = "arraybuffer";
+
+    let connectionData = {
+      ws,
+      meta: { name: "Unknown" },
+      lastSeen: Date.now(),
+      outbound,
+      address,
+    };
+
+    ws.on("pong", () => {
+      const c = this.conns.get(peerId);
+      if (!c) return;
+      c.lastSeen = Date.now();
+      c.pingsOwed = Math.max(0, (c.pingsOwed || 0) - 1);
+      if (c.pingAt) c.stats.recordRtt(c.lastSeen - c.pingAt);
+      c.pingAt = null;
+    });
+
+    ws.on("message", (data, isBinary) => {
+      if (peerId && this.conns.has(peerId)) {
+        this.conns.get(peerId).lastSeen = Date.now();
+      }
+
+      const session = this.sessions.get(ws);
+      session?.stats?.recordIn(data.byteLength, isBinary);
+      if (isBinary) {
+        const plain =
+          session?.rx && Protocol.openFrame(session, Buffer.from(data));
+        if (!plain) return;
+        const parsed = Protocol.parseBinary(plain);
+        if (!parsed)
+          return this._sendError(ws, "invalid", "Malformed chunk header");
+        const t = this.transfers.get("in", parsed.header.fileId, peerId);
+        if (t && t.state === "active") {
+          if (t.done + parsed.data.length > receiveLimit(t))
+            return this._abortIncoming(t, "sent more than it declared");
+          t.stream.write(parsed.data);
+          this.transfers.progress(t, parsed.data.length);
+        }
+        return;
+      }
+      let frame;
+      try {
+        frame = JSON.parse(data.toString());
+        // Only the pair handshake travels in the clear; after it, every
+        // frame must decrypt under the session key or it is dropped.
+        if (session?.rx) {
+          const plain =
+            frame.enc &&
+            Protocol.openFrame(session, Buffer.from(frame.enc, "base64"));
+          if (!plain) return;
+          frame = JSON.parse(plain.toString());
+        } else if (frame.type !== "pair") return;
+      } catch (e) {
+        return this._sendError(ws, "invalid", "Frame is not valid JSON");
+      }
+
+      const { type, payload } = frame || {};
+      const schema = MESSAGE_SCHEMAS[type];
+      if (!schema)
+        return this._sendError(
+          ws,
+          "unknown-type",
+          `Unknown message type ${type}`,
+          type
+        );
+      const problem = validatePayload(schema, payload);
+      if (problem) {
+        if (type === "error") return;
+        this.emit(
+          "log",
+          `${COLORS.err}Rejected ${type} from ${connectionData.meta.name}: ${problem}${COLORS.reset}`
+        );
+        return this._sendError(ws, "invalid", problem, type);
+      }
+
+      // Kept through reconnects, so dropping the link doesn't reset it.
+      const flood =
+        FLOOD_KINDS[type] && this.flood.check(peerId, FLOOD_KINDS[type]);
+      if (flood === "throttle") {
+        this.emit(
+          "log",
+          `${COLORS.err}Ignoring ${connectionData.meta.name} for ${
+            CONFIG.FLOOD_PENALTY / 1000
+          }s: too many ${FLOOD_KINDS[type]} frames.${COLORS.reset}`
+        );
+        this._sendError(
+          ws,
+          "rate-limited",
+          `Too many ${FLOOD_KINDS[type]} frames; ignored for ${
+            CONFIG.FLOOD_PENALTY / 1000
+          }s`,
+          type
+        );
+      }
+      if (flood === "throttle" || flood === "drop") return;
+
+      try {
+        switch (type) {
+          case "pair": {
+            if (peerId) break;
+            if (payload.fromId === this.identity.id) {
+              this.emit(
+                "log",
+                `${COLORS.err}Dropped a link to this node itself.${COLORS.reset}`
+              );
+              return ws.close();
+            }
+            const version = payload.v || 1;
+            if (version < MIN_PROTOCOL_VERSION) {
+              this.emit(
+                "log",
+                `${COLORS.err}${payload.name} runs protocol v${version}; v${MIN_PROTOCOL_VERSION} or newer is required.${COLORS.reset}`
+              );
+              this._sendError(
+                ws,
+                "unsupported-version",
+                `Protocol v${MIN_PROTOCOL_VERSION} or newer is required`,
+                "pair"
+              );
+              return ws.close();
+            }
+            const fp = this._checkPeerKey(ws, payload);
+            if (!fp || this.isBlocked(payload.fromId)) return ws.close();
+
+            if (!payload.ack)
+              this._send(ws, "pair", this._pairPayload(ws, payload.ephKey));
+            const s = this.sessions.get(ws);
+            Object.assign(s, deriveLinkKeys(s.eph, payload.ephKey, version));
+
+            // Both ends dialed at once: each side keeps the link dialed by
+            // the lower id, so they settle on the same one.
+            const existing = this.conns.get(payload.fromId);
+            if (existing && existing.ws.readyState === WebSocket.OPEN) {
+              const dialer = (c) =>
+                c.outbound ? this.identity.id : payload.fromId;
+              if (dialer(existing) <= dialer(connectionData)) return ws.close();
+              existing.replaced = true;
+              this._interruptTransfers(payload.fromId);
+              existing.ws.close();
+            }
+
+            peerId = payload.fromId;
+            connectionData.meta = {
+              fromId: payload.fromId,
+              name: payload.name,
+              fingerprint: fp,
+              version,
+            };
+            const theirCaps = payload.v
+              ? payload.caps || []
+              : LEGACY_CAPABILITIES;
+            connectionData.caps = new Set(
+              CAPABILITIES.filter((c) => theirCaps.includes(c))
+            );
+            connectionData.stats = this._linkStats(peerId);
+            connectionData.stats.links++;
+            connectionData.stats.linkedAt = Date.now();
+            s.stats = connectionData.stats;
+            this.conns.set(peerId, connectionData);
+            this._stopReconnect(peerId);
+            this._touchContact(peerId, {
+              name: payload.name,
+              address: connectionData.address,
+              port: payload.port,
+              lastSeen: Date.now(),
+            });
+            this.emit("conns_update");
+            this.emit(
+              "log",
+              `${COLORS.me}Linked with ${payload.name} (encrypted${
+                this.knownPeers[peerId].verified ? ", verified" : ""
+              })${COLORS.reset}`
+            );
+            const missing = CAPABILITIES.filter(
+              (c) => !connectionData.caps.has(c)
+            );
+            if (missing.length > 0)
+              this.emit(
+                "log",
+                `${COLORS.sys}${
+                  payload.name
+                }'s node (protocol v${version}) lacks: ${missing.join(", ")}.${
+                  COLORS.reset
+                }`
+              );
+            this._resumeTransfers(peerId);
+            this._flushOutbox(peerId);
+            if (this._peerCan(peerId, "rooms"))
+              this._send(ws, "room-sync", { rooms: [...this.joinedRooms] });
+            if (this._peerCan(peerId, "presence"))
+              this._send(ws, "presence", this._presencePayload());
+            this._scheduleAnnounce();
+            this._shareTopology([peerId]);
+            break;
+          }
+
+          // --- ROOMS ---
+          case "room-sync":
+            this.rooms.forEach((members) => members.delete(peerId));
+            (payload.rooms || []).forEach((r) =>
+              this._setMembership(peerId, r, true)
+            );
+            this.emit("rooms_update");
+            break;
+
+          case "room-join":
+          case "room-leave": {
+            const room = roomName(payload.room);
+            if (!room) break;
+            this._setMembership(peerId, room, type === "room-join");
+            this.emit("rooms_update");
+            if (this.joinedRooms.has(room))
+              this.emit(
+                "log",
+                `${COLORS.gen}${connectionData.meta.name} ${
+                  type === "room-join" ? "joined" : "left"
+                } ${room}${COLORS.reset}`
+              );
+            break;
+          }
+
+          case "room-invite": {
+            const room = roomName(payload.room);
+            if (!room || CONFIG.QUIET || this.isMuted(peerId)) break;
+            this.emit(
+              "log",
+              `${COLORS.gen}${connectionData.meta.name} invites you to ${room}. Type ${COLORS.cmd}/join ${room}${COLORS.reset}`
+            );
+            break;
+          }
+
+          case "msg":
+            if (payload.isPm) this._onTyping(false, peerId);
+            this._onChat(payload, peerId);
+            break;
+
+          case "msg-ack":
+            this._onMsgAck(payload, peerId);
+            break;
+
+          case "relay":
+            this._onRelay(payload, peerId);
+            break;
+
+          case "nudge":
+            if (!CONFIG.QUIET && !this.isMuted(peerId))
+              this.emit("nudge_event", payload.fromName);
+            break;
+
+          case "presence":
+            this._onPresence(payload, peerId);
+            break;
+
+          case "typing":
+            this._onTyping(payload.active, peerId);
+            break;
+
+          case "shell-req":
+            this._onShellRequest(payload, peerId);
+            break;
+
+          case "shell-data":
+            this._onShellData(payload, peerId);
+            break;
+
+          case "shell-exit":
+            this._onShellExit(payload, peerId);
+            break;
+
+          case "shell-in":
+            this._onShellInput(payload, peerId);
+            break;
+
+          case "shell-kill":
+            this._onShellKill(payload, peerId);
+            break;
+
+          // --- FILE TRANSFER HANDSHAKE ---
+          case "file-offer":
+            this._onFileOffer(payload, peerId);
+            break;
+
+          case "file-accept":
+            this._streamFile(payload.fileId, peerId, payload.offset || 0);
+            break;
+
+          case "file-reject": {
+            const t = this.transfers.get("out", payload.fileId, peerId);
+            if (t) {
+              this.transfers.remove(t);
+              this.emit(
+                "log",
+                `${COLORS.err}${t.peerName} declined ${t.name}.${COLORS.reset}`
+              );
+            }
+            break;
+          }
+
+          case "file-cancel":
+            this._onFileCancel(payload.fileId, peerId);
+            break;
+
+          case "file-end":
+            this._finishFile(payload, peerId);
+            break;
+
+          case "file-done": {
+            const t = this.transfers.get("out", payload.fileId, peerId);
+            if (!t) break;
+            this.emit(
+              "log",
+              payload.ok
+                ? `${COLORS.me}${t.peerName} received ${t.name} (checksum OK).${COLORS.reset}`
+                : `${COLORS.err}${t.peerName} got a corrupt copy of ${t.name}.${COLORS.reset}`
+            );
+            this.transfers.remove(t);
+            break;
+          }
+
+          case "share-list":
+            this._onShareList(payload, peerId, ws);
+            break;
+          case "share-listing":
+            this._onShareListing(payload, peerId);
+            break;
+          case "share-get":
+            this._onShareGet(payload, peerId, ws);
+            break;
+
+          case "game-invite":
+            this._onGameInvite(payload, peerId);
+            break;
+          case "game-start":
+            this._onGameStart(payload, peerId);
+            break;
+          case "game-move":
+            this._onGameMove(payload, peerId);
+            break;
+          case "game-sync":
+            this._onGameSync(payload, peerId);
+            break;
+          case "game-state":
+            this._onGameState(payload, peerId);
+            break;
+          case "game-reveal":
+            this._onGameReveal(payload, peerId);
+            break;
+          case "game-spectate":
+            this._onSpectate(peerId);
+            break;
+          case "game-view":
+            this._onGameView(payload, peerId);
+            break;
+
+          case "error":
+            this.emit(
+              "log",
+              `${COLORS.err}${connectionData.meta.name} rejected ${
+                payload.ref ? `our ${payload.ref}` : "a frame"
+              }: ${payload.message || payload.code}${COLORS.reset}`
+            );
+            break;
+        }
+      } catch (e) {
+        this.emit(
+          "log",
+          `${COLORS.err}Failed to handle ${type} from ${connectionData.meta.name}: ${e.message}${COLORS.reset}`
+        );
+        this._sendError(ws, "failed", e.message, type);
+      }
+    });
+
+    ws.on("close", (code, reason) => {
+      if (peerId && this.conns.get(peerId) === connectionData) {
+        this.emit(
+          "log",
+          `${COLORS.err}${this.conns.get(peerId).meta.name} Disconnected.${
+            COLORS.reset
+          }`
+        );
+        this.conns.delete(peerId);
+        clearTimeout(connectionData.typingTimer);
+        this.watching.delete(peerId);
+        this.emit("conns_update");
+        this._interruptTransfers(peerId);
+        this._endPeerJobs(peerId);
+        this._scheduleAnnounce();
+
+        if (this.activeTarget === peerId)
+          this.emit(
+            "log",
+            `${COLORS.sys}Messages will be queued until they reconnect.${COLORS.reset}`
+          );
+        this._touchContact(peerId, { lastSeen: Date.now() });
+        this._scheduleReconnect(peerId);
+      }
+    });
+
+    ws.on("error", (e) => {});
+  }
+
+  _send(ws, type, payload) {
+    try {
+      if (ws.readyState !== WebSocket.OPEN) return;
+      const frame = Buffer.from(JSON.stringify({ type, payload }));
+      const session = this.sessions.get(ws);
+      const data = session?.tx
+        ? JSON.stringify({
+            enc: Protocol.sealFrame(session, frame).toString("base64"),
+          })
+        : frame.toString();
+      ws.send(data);
+      session?.stats?.recordOut(Buffer.byteLength(data));
+    } catch (e) {}
+  }
+
+  // True if the peer listed the capability when it paired. Peers we only
+  // reach through relays are assumed to be current.
+  _peerCan(peerId, cap) {
+    const c = this.conns.get(peerId);
+    return !c || !!c.caps?.has(cap);
+  }
+
+  // Logs why a feature is unavailable with this peer and returns false.
+  _requireCap(peerId, cap, what) {
+    if (this._peerCan(peerId, cap)) return true;
+    this.emit(
+      "log",
+      `${COLORS.err}${
+        this.conns.get(peerId).meta.name
+      } runs an older LAN-OS without ${what}.${COLORS.reset}`
+    );
+    return false;
+  }
+
+  // Tells the peer why a frame was refused. Never sent in reply to an
+  // error frame, or two nodes could bounce errors back and forth.
+  _sendError(ws, code, message, ref) {
+    if (ref === "error") return;
+    this._send(ws, "error", { code, message, ref });
+  }
+
+  _sendBinary(ws, fileId, chunk, cb) {
+    const session = this.sessions.get(ws);
+    if (!session?.tx) return cb?.(new Error("No session"));
+    const data = Protocol.sealFrame(
+      session,
+      Protocol.createBinary(fileId, chunk)
+    );
+    ws.send(data, cb);
+    session.stats?.recordOut(data.length, true);
+  }
+
+  // --- IDENTITY ---
+  // Builds our half of the handshake. The responder also signs the
+  // initiator's ephemeral key so the ack cannot be replayed elsewhere.
+  _pairPayload(ws, peerEphKey) {
+    const eph = ephemeralKey();
+    this.sessions.set(ws, { eph, tx: null, rx: null });
+    const payload = {
+      fromId: this.identity.id,
+      name: this.identity.username,
+      port: this.port,
+      pubKey: this.keys.publicKey,
+      ephKey: eph.publicKey,
+      v: PROTOCOL_VERSION,
+      caps: CAPABILITIES,
+    };
+    if (peerEphKey) {
+      payload.ack = true;
+      payload.peerEphKey = peerEphKey;
+    }
+    payload.sig = crypto
+      .sign(null, pairSignable(payload), this.keys.privateKey)
+      .toString("base64");
+    return payload;
+  }
+
+  // Returns the peer's fingerprint, or null if the handshake must be refused.
+  _checkPeerKey(ws, payload) {
+    const mine = this.sessions.get(ws)?.eph.publicKey;
+    let valid = false;
+    try {
+      valid =
+        !!payload.fromId &&
+        (!payload.ack || payload.peerEphKey === mine) &&
+        crypto.verify(
+          null,
+          pairSignable(payload),
+          crypto.createPublicKey({
+            key: Buffer.from(payload.pubKey, "base64"),
+            format: "der",
+            type: "spki",
+          }),
+          Buffer.from(payload.sig, "base64")
+        );
+    } catch (e) {}
+    if (!valid) {
+      this.emit(
+        "log",
+        `${COLORS.err}Rejected ${payload.name}: bad handshake signature.${COLORS.reset}`
+      );
+      return null;
+    }
+
+    const fp = fingerprint(payload.pubKey);
+    const known = this.knownPeers[payload.fromId];
+    if (!known) {
+      this.knownPeers[payload.fromId] = {
+        name: payload.name,
+        fingerprint: fp,
+        verified: false,
+        firstSeen: Date.now(),
+      };
+      saveJSON(this.files.KNOWN_PEERS_FILE, this.knownPeers);
+      this.emit(
+        "log",
+        `${COLORS.sys}New key for ${payload.name}: ${fmtFingerprint(
+          fp
+        )}. Compare with /verify @${payload.name}${COLORS.reset}`
+      );
+    } else if (known.fingerprint !== fp) {
+      this.keyConflicts.set(payload.fromId, {
+        name: payload.name,
+        fingerprint: fp,
+      });
+      [
+        `{bold}${COLORS.err}!!! WARNING: IDENTITY KEY CHANGED FOR ${payload.name} !!!${COLORS.reset}`,
+        `${COLORS.err}Pinned:  ${fmtFingerprint(known.fingerprint)}${
+          COLORS.reset
+        }`,
+        `${COLORS.err}Offered: ${fmtFingerprint(fp)}${COLORS.reset}`,
+        `${COLORS.err}Someone may be impersonating them. Connection refused.${COLORS.reset}`,
+        `If they reinstalled, check with them and run ${COLORS.cmd}/verify @${payload.name} confirm${COLORS.reset}`,
+      ].forEach((l) => this.emit("log", l));
+      this.emit("security_alert", payload.fromId);
+      return null;
+    } else if (known.name !== payload.name) {
+      known.name = payload.name;
+      saveJSON(this.files.KNOWN_PEERS_FILE, this.knownPeers);
+    }
+    return fp;
+  }
+
+  // Finds a peer by "@name" (or id prefix) among links, then pinned keys.
+  _resolvePeer(ref) {
+    const q = String(ref || "")
+      .replace(/^@/, "")
+      .toLowerCase();
+    if (!q) return null;
+    for (const c of this.conns.values())
+      if (c.meta.name.toLowerCase() === q || c.meta.fromId.startsWith(q))
+        return { id: c.meta.fromId, name: c.meta.name };
+    for (const [id, k] of Object.entries(this.knownPeers))
+      if (k.name.toLowerCase() === q || id.startsWith(q))
+        return { id, name: k.name };
+    for (const [id, m] of this.mesh)
+      if (m.name.toLowerCase() === q || id.startsWith(q))
+        return { id, name: m.name };
+    return null;
+  }
+
+  _verify(args) {
+    const [ref, action] = args.split(/\s+/).filter(Boolean);
+    this.emit(
+      "log",
+      `${COLORS.sys}Your fingerprint: ${fmtFingerprint(this.fingerprint)}${
+        COLORS.reset
+      }`
+    );
+    const target = ref
+      ? this._resolvePeer(ref)
+      : this.conns.has(this.activeTarget) && {
+          id: this.activeTarget,
+          name: this.conns.get(this.activeTarget)?.meta.name,
+        };
+    if (!target) {
+      if (ref)
+        this.emit("log", `${COLORS.err}Unknown peer ${ref}.${COLORS.reset}`);
+      return;
+    }
+
+    const known = this.knownPeers[target.id];
+    const conflict = this.keyConflicts.get(target.id);
+    if (action === "confirm") {
+      if (conflict) {
+        this.knownPeers[target.id] = {
+          name: conflict.name,
+          fingerprint: conflict.fingerprint,
+          verified: true,
+          firstSeen: Date.now(),
+        };
+        this.keyConflicts.delete(target.id);
+        this.emit(
+          "log",
+          `${COLORS.me}Pinned new key for ${target.name}. Reconnect to link.${COLORS.reset}`
+        );
+      } else if (known) {
+        known.verified = true;
+        this.emit(
+          "log",
+          `${COLORS.me}${target.name} marked as verified.${COLORS.reset}`
+        );
+      }
+      return saveJSON(this.files.KNOWN_PEERS_FILE, this.knownPeers);
+    }
+
+    if (known)
+      this.emit(
+        "log",
+        `${COLORS.sys}${target.name}: ${fmtFingerprint(known.fingerprint)} ${
+          known.verified ? "(verified)" : "(unverified)"
+        }${COLORS.reset}`
+      );
+    if (conflict)
+      this.emit(
+        "log",
+        `${COLORS.err}${target.name} now offers: ${fmtFingerprint(
+          conflict.fingerprint
+        )}${COLORS.reset}`
+      );
+    this.emit(
+      "log",
+      `Compare out-of-band, then ${COLORS.cmd}/verify @${target.name} confirm${COLORS.reset}`
+    );
+  }
+
+  processInput(text) {
+    this.noteActivity();
+    if (!text) return;
+    if (text === "/help") return this._showHelp();
+    if (text === "/play" || text.startsWith("/play "))
+      return this._invite(text.slice(5).trim());
+    if (text.startsWith("/acceptfile"))
+      return this._acceptFile(text.slice(11).trim());
+    if (text.startsWith("/reject"))
+      return this._rejectFile(text.slice(7).trim());
+    if (text.startsWith("/accept")) return this._accept(text.slice(7).trim());
+    if (text.startsWith("/move ")) return this._makeMove(text.slice(6));
+    if (text === "/games") return this._listGames();
+    if (text.startsWith("/game ")) return this._focusGame(text.slice(6).trim());
+    if (text === "/rematch" || text.startsWith("/rematch "))
+      return this._rematch(text.slice(8).trim());
+    if (text.startsWith("/spectate "))
+      return this._spectate(text.slice(10).trim());
+    if (text === "/scores") return this._listScores();
+    if (text.startsWith("/send "))
+      return this._sendFile(text.split("/send ")[1].trim());
+    if (text === "/transfers") return this._listTransfers();
+    if (text.startsWith("/cancel "))
+      return this._cancelTransfer(text.slice(8).trim());
+    if (text === "/nudge") return this._sendNudge();
+    if (text === "/verify" || text.startsWith("/verify "))
+      return this._verify(text.slice(7).trim());
+    if (text === "/history" || text.startsWith("/history "))
+      return this._showHistory(parseInt(text.slice(8), 10) || 20);
+    if (text.startsWith("/search "))
+      return this._searchHistory(text.slice(8).trim());
+    if (text.startsWith("/join ")) return this._joinRoom(text.slice(6).trim());
+    if (text === "/leave" || text.startsWith("/leave "))
+      return this._leaveRoom(text.slice(6).trim());
+    if (text === "/rooms") return this._listRooms();
+    if (text.startsWith("/invite "))
+      return this._inviteToRoom(text.slice(8).trim());
+    if (text.startsWith("/route "))
+      return this._showRoute(text.slice(7).trim());
+    if (text === "/relay" || text.startsWith("/relay "))
+      return this._setRelay(text.slice(6).trim());
+    if (text.startsWith("/dm ")) return this._openDm(text.slice(4).trim());
+    if (text.startsWith("/connect "))
+      return this.connectAddress(text.slice(9).trim());
+    if (text === "/contacts") return this._listContacts();
+    if (text.startsWith("/favorite "))
+      return this._favoriteContact(text.slice(10).trim());
+    if (text.startsWith("/forget "))
+      return this._forgetContact(text.slice(8).trim());
+    if (text === "/shares") return this._listShares();
+    if (text.startsWith("/share ")) return this._share(text.slice(7).trim());
+    if (text.startsWith("/unshare "))
+      return this._unshare(text.slice(9).trim());
+    if (text.startsWith("/ls ")) return this._listRemote(text.slice(4).trim());
+    if (text.startsWith("/get ")) return this._getRemote(text.slice(5).trim());
+    const moderate = /^\/(un)?(mute|block) (.+)$/.exec(text);
+    if (moderate)
+      return this._moderate(
+        moderate[2] === "mute" ? "muted" : "blocked",
+        moderate[3].trim(),
+        !moderate[1]
+      );
+    if (text === "/blocked") return this._listModeration();
+    if (text === "/quiet" || text.startsWith("/quiet "))
+      return this._setQuiet(text.slice(6).trim());
+    if (text.startsWith("/set ")) return this._setOption(text.slice(5).trim());
+    if (text === "/stats" || text.startsWith("/stats "))
+      return this._showStats(text.slice(7).trim());
+    if (text === "/diag") return this._toggleDiagnostics();
+    if (text === "/config" || text.startsWith("/config "))
+      return this._showConfig(text.slice(7).trim());
+    if (text === "/status" || text.startsWith("/status "))
+      return this.setStatus(text.slice(8).trim());
+    const presence = /^\/(away|busy|online)(?:\s+(.*))?$/.exec(text);
+    if (presence) return this.setPresence(presence[1], presence[2]);
+    if (text.startsWith("/exec ")) return this._requestShell(text.slice(6));
+    if (text === "/jobs") return this._listJobs();
+    if (text.startsWith("/kill ")) return this._killJob(text.slice(6).trim());
+    if (text.startsWith("/stdin ")) {
+      const [ref, ...rest] = text.slice(7).split(" ");
+      return this._sendJobInput(ref, rest.join(" "));
+    }
+    if (text === "/allow" || text.startsWith("/allow "))
+      return this._approveShell(text.slice(7).trim());
+    if (text === "/deny" || text.startsWith("/deny "))
+      return this._denyShell(text.slice(6).trim());
+
+    this.sendChat(text);
+  }
+
+  // Plain text for the active conversation, never parsed as a command.
+  sendChat(text) {
+    this.noteActivity();
+    const msg = {
+      id: uuidv4(),
+      ts: Date.now(),
+      fromId: this.identity.id,
+      name: this.identity.username,
+      text,
+    };
+
+    if (this.activeTarget === "general") {
+      // Sent as a signed relay envelope so peers can forward it on.
+      this._sendRelay("*", { type: "msg", payload: { ...msg, isPm: false } });
+      // Peers that cannot read envelopes get it directly, unforwarded.
+      this.conns.forEach((c, id) => {
+        if (!this._peerCan(id, "relay"))
+          this._send(c.ws, "msg", { ...msg, isPm: false });
+      });
+      if (this.conns.size === 0) {
+        this.emit("log", `${COLORS.err}No one is connected.${COLORS.reset}`);
+      }
+      this._recordChat("general", msg);
+    } else if (this.activeTarget.startsWith("#")) {
+      const room = this.activeTarget;
+      const members = this._roomMembers(room);
+      members.forEach((c) =>
+        this._send(c.ws, "msg", { ...msg, isPm: false, room })
+      );
+      if (members.length === 0)
+        this.emit(
+          "log",
+          `${COLORS.err}No one else in ${room} is online.${COLORS.reset}`
+        );
+      this._recordChat(room, msg);
+    } else {
+      const known = this.knownPeers[this.activeTarget];
+      if (this._sendTo(this.activeTarget, "msg", { ...msg, isPm: true })) {
+        this._recordChat(this.activeTarget, msg);
+      } else if (known) {
+        (this.outbox[this.activeTarget] ||= []).push({ ...msg, isPm: true });
+        saveJSON(this.files.OUTBOX_FILE, this.outbox);
+        this._recordChat(this.activeTarget, { ...msg, queued: true });
+        this.emit(
+          "log",
+          `${COLORS.sys}${known.name} is offline. Message queued.${COLORS.reset}`
+        );
+      } else {
+        this.setTarget("general");
+        this.emit(
+          "log",
+          `${COLORS.err}User gone. Switched to General.${COLORS.reset}`
+        );
+      }
+    }
+  }
+
+  setTarget(targetId) {
+    this.activeTarget = targetId;
+    this._sendReadReceipts(targetId);
+    this.emit("target_changed", targetId);
+  }
+
+  _onChat(payload, peerId) {
+    let convo = payload.isPm ? peerId : "general";
+    if (payload.room) {
+      convo = roomName(payload.room);
+      if (!this.joinedRooms.has(convo)) return;
+    }
+    // Muted peers still get "delivered", so muting is not announced.
+    const muted = this.isMuted(peerId);
+    const status = !muted && this.activeTarget === convo ? "read" : "delivered";
+    if (payload.id) {
+      const ack = { id: payload.id, isPm: !!payload.isPm, room: payload.room };
+      // Always ack, even duplicates: the first ack may have been lost.
+      if (this._peerCan(peerId, "receipts"))
+        this._sendTo(peerId, "msg-ack", { ...ack, status });
+      if (this.seenMsgs.has(payload.id)) return;
+      this.seenMsgs.add(payload.id);
+      if (this.seenMsgs.size > 5000)
+        this.seenMsgs.delete(this.seenMsgs.values().next().value);
+      if (status === "delivered" && !muted) {
+        if (!this.unread.has(convo)) this.unread.set(convo, []);
+        this.unread.get(convo).push({ peerId, ack });
+      }
+    }
+    if (muted) return;
+    this._recordChat(convo, {
+      id: payload.id,
+      ts: payload.ts || Date.now(),
+      fromId: peerId,
+      name: payload.name,
+      text: payload.text,
+    });
+  }
+
+  _sendReadReceipts(convo) {
+    const pending = this.unread.get(convo);
+    if (!pending) return;
+    this.unread.delete(convo);
+    pending.forEach(({ peerId, ack }) => {
+      if (this._peerCan(peerId, "receipts"))
+        this._sendTo(peerId, "msg-ack", { ...ack, status: "read" });
+    });
+  }
+
+  _onMsgAck(payload, peerId) {
+    if (!RECEIPT_RANK[payload.status]) return;
+    const convo = roomName(payload.room) || (payload.isPm ? peerId : "general");
+    if (payload.isPm) this._dropQueued(peerId, payload.id);
+    this.history.setStatus(convo, payload.id, peerId, payload.status);
+    this.emit("chat_status", { convo, id: payload.id });
+  }
+
+  // Queued messages stay in the outbox until the peer acks them, so a link
+  // that drops mid-flush sends them again on the next connect. Peers
+  // without receipts never ack; theirs are dropped once sent.
+  _flushOutbox(peerId) {
+    const queued = this.outbox[peerId];
+    const c = this.conns.get(peerId);
+    if (!queued?.length || !c) return;
+    queued.forEach((m) => {
+      this._send(c.ws, "msg", m);
+      this.history.setStatus(peerId, m.id, this.identity.id, "sent");
+    });
+    if (!this._peerCan(peerId, "receipts")) {
+      delete this.outbox[peerId];
+      saveJSON(this.files.OUTBOX_FILE, this.outbox);
+    }
+    this.emit(
+      "log",
+      `${COLORS.me}Sent ${queued.length} queued message(s) to ${c.meta.name}.${COLORS.reset}`
+    );
+    this.emit("chat_status", { convo: peerId });
+  }
+
+  _dropQueued(peerId, id) {
+    const queued = this.outbox[peerId];
+    if (!queued?.some((m) => m.id === id)) return;
+    const rest = queued.filter((m) => m.id !== id);
+    if (rest.length) this.outbox[peerId] = rest;
+    else delete this.outbox[peerId];
+    saveJSON(this.files.OUTBOX_FILE, this.outbox);
+  }
+
+  _recordChat(convo, m) {
+    const entry = { ts: Date.now(), convo, isPm: !isGroup(convo), ...m };
+    if (!entry.id) delete entry.id;
+    this.history.append(convo, entry);
+    this.emit("chat", entry);
+  }
+
+  _convoName(convo) {
+    if (convo === "general") return "#General";
+    if (convo.startsWith("#")) return convo;
+    const name =
+      this.conns.get(convo)?.meta.name ||
+      this.knownPeers[convo]?.name ||
+      this.mesh.get(convo)?.name;
+    return `@${name || shortId(convo)}`;
+  }
+
+  _showHistory(n) {
+    this.emit("history", {
+      title: `Last ${n} in ${this._convoName(this.activeTarget)}`,
+      entries: this.history.load(this.activeTarget, n),
+    });
+  }
+
+  _searchHistory(query) {
+    if (!query) return;
+    const entries = this.history.search(query);
+    this.emit("history", {
+      title: `${entries.length} result(s) for "${query}"`,
+      entries,
+      showConvo: true,
+    });
+  }
+
+  // --- ROOMS ---
+  _setMembership(peerId, ref, isMember) {
+    const room = roomName(ref);
+    if (!room) return;
+    if (!this.rooms.has(room)) this.rooms.set(room, new Set());
+    const members = this.rooms.get(room);
+    if (isMember) members.add(peerId);
+    else members.delete(peerId);
+  }
+
+  _roomMembers(room) {
+    const members = this.rooms.get(room) || new Set();
+    return Array.from(this.conns.values()).filter((c) =>
+      members.has(c.meta.fromId)
+    );
+  }
+
+  // With a capability, only peers that announced it get the frame.
+  _broadcast(type, payload, cap) {
+    this.conns.forEach((c, id) => {
+      if (!cap || this._peerCan(id, cap)) this._send(c.ws, type, payload);
+    });
+  }
+
+  _joinRoom(ref) {
+    const room = roomName(ref);
+    if (!room)
+      return this.emit(
+        "log",
+        `${COLORS.err}Room names look like #topic (letters, digits, - and _).${COLORS.reset}`
+      );
+    if (!this.joinedRooms.has(room)) {
+      this.joinedRooms.add(room);
+      saveJSON(this.files.ROOMS_FILE, [...this.joinedRooms]);
+      this._broadcast("room-join", { room }, "rooms");
+      this.emit("rooms_update");
+      this.emit(
+        "log",
+        `${COLORS.gen}Joined ${room} (${
+          this._roomMembers(room).length
+        } online).${COLORS.reset}`
+      );
+    }
+    this.setTarget(room);
+  }
+
+  _leaveRoom(ref) {
+    const room = ref ? roomName(ref) : this.activeTarget;
+    if (!room || !this.joinedRooms.has(room))
+      return this.emit(
+        "log",
+        `${COLORS.err}You are not in ${ref || "a room"}.${COLORS.reset}`
+      );
+    this.joinedRooms.delete(room);
+    saveJSON(this.files.ROOMS_FILE, [...this.joinedRooms]);
+    this._broadcast("room-leave", { room }, "rooms");
+    this.emit("rooms_update");
+    this.emit("log", `${COLORS.gen}Left ${room}.${COLORS.reset}`);
+    if (this.activeTarget === room) this.setTarget("general");
+  }
+
+  _listRooms() {
+    const names = new Set([...this.joinedRooms, ...this.rooms.keys()]);
+    if (names.size === 0)
+      return this.emit(
+        "log",
+        `${COLORS.sys}No rooms yet. Create one with /join #name${COLORS.reset}`
+      );
+    names.forEach((room) => {
+      const online = this._roomMembers(room).length;
+      const mine = this.joinedRooms.has(room);
+      if (!mine && online === 0) return;
+      this.emit(
+        "log",
+        `${COLORS.gen}${room}${COLORS.reset} ${
+          online + (mine ? 1 : 0)
+        } member(s)${mine ? " (joined)" : ""}`
+      );
+    });
+  }
+
+  _inviteToRoom(args) {
+    const [who, ref] = args.split(/\s+/);
+    const peer = this._resolvePeer(who);
+    const c = peer && this.conns.get(peer.id);
+    const room = roomName(ref) || (ref ? null : this.activeTarget);
+    if (!c)
+      return this.emit(
+        "log",
+        `${COLORS.err}${who || "That user"} is not connected.${COLORS.reset}`
+      );
+    if (!room || !this.joinedRooms.has(room))
+      return this.emit(
+        "log",
+        `${COLORS.err}Join the room before inviting others.${COLORS.reset}`
+      );
+    if (!this._requireCap(peer.id, "rooms", "rooms")) return;
+    this._send(c.ws, "room-invite", { room });
+    this.emit(
+      "log",
+      `${COLORS.gen}Invited ${c.meta.name} to ${room}.${COLORS.reset}`
+    );
+  }
+
+  // --- SHARED FOLDERS ---
+  // Shares are read-only: peers can list them and ask for a download,
+  // which comes back as an ordinary file offer.
+  _share(args) {
+    const m = /^(.*?)(?:\s+(@\S+|all))?$/.exec(args);
+    const dir = path.resolve(m[1]);
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory())
+      return this.emit(
+        "log",
+        `${COLORS.err}${m[1]} is not a folder.${COLORS.reset}`
+      );
+    let to = "all";
+    if (m[2] && m[2] !== "all") {
+      const peer = this._resolvePeer(m[2]);
+      if (!peer)
+        return this.emit(
+          "log",
+          `${COLORS.err}Unknown user ${m[2]}.${COLORS.reset}`
+        );
+      to = [peer.id];
+    }
+    let name = Object.keys(this.shares).find(
+      (n) => this.shares[n].path === dir
+    );
+    if (name) {
+      // Sharing again widens who can see it.
+      const prev = this.shares[name].to;
+      if (to !== "all" && prev !== "all") to = [...new Set([...prev, ...to])];
+    } else {
+      const base = path.basename(dir) || "root";
+      name = base;
+      for (let i = 2; this.shares[name]; i++) name = `${base}-${i}`;
+    }
+    this.shares[name] = { path: dir, to };
+    saveJSON(this.files.SHARES_FILE, this.shares);
+    this.emit(
+      "log",
+      `${
+        COLORS.me
+      }Sharing ${dir} as ${name}/ (read-only) with ${this._shareAudience(to)}.${
+        COLORS.reset
+      }`
+    );
+  }
+
+  _shareAudience(to) {
+    if (to === "all") return "everyone";
+    return to
+      .map((id) => this.contacts[id]?.name || this.knownPeers[id]?.name || id)
+      .join(", ");
+  }
+
+  _unshare(name) {
+    if (!this.shares[name])
+      return this.emit(
+        "log",
+        `${COLORS.err}No share named ${name}.${COLORS.reset}`
+      );
+    delete this.shares[name];
+    saveJSON(this.files.SHARES_FILE, this.shares);
+    this.emit("log", `${COLORS.sys}Stopped sharing ${name}/.${COLORS.reset}`);
+  }
+
+  _listShares() {
+    const names = Object.keys(this.shares);
+    if (names.length === 0)
+      return this.emit(
+        "log",
+        `${COLORS.sys}Nothing shared. Use /share <dir>.${COLORS.reset}`
+      );
+    names.forEach((n) =>
+      this.emit(
+        "log",
+        `  ${n}/ -> ${this.shares[n].path} (${this._shareAudience(
+          this.shares[n].to
+        )})`
+      )
+    );
+  }
+
+  // "share/sub/file" -> a path on disk the peer may read, or null.
+  _resolveShareRef(peerId, ref) {
+    const [name, ...rest] = String(ref)
+      .split(/[\\/]+/)
+      .filter(Boolean);
+    const share = this.shares[name];
+    if (!share || (share.to !== "all" && !share.to.includes(peerId)))
+      return null;
+    return resolveShared(share.path, rest.join("/"));
+  }
+
+  // Shared by both /ls and /get: the connected peer named by "@user ...".
+  _sharePeer(args, usage) {
+    const [ref, ...rest] = args.split(/\s+/);
+    const peer = this._resolvePeer(ref);
+    const c = peer && this.conns.get(peer.id);
+    if (!c) {
+      this.emit(
+        "log",
+        `${COLORS.err}${ref ? `${ref} is not connected` : usage}.${
+          COLORS.reset
+        }`
+      );
+      return null;
+    }
+    if (!this._requireCap(peer.id, "shares", "shared folders")) return null;
+    return { c, peerId: peer.id, rest: rest.join(" ") };
+  }
+
+  _listRemote(args) {
+    const target = this._sharePeer(args, "Usage: /ls @user [path]");
+    if (!target) return;
+    const reqId = uuidv4();
+    this.shareRequests.set(reqId, {
+      kind: "ls",
+      peerId: target.peerId,
+      path: target.rest,
+    });
+    this._send(target.c.ws, "share-list", { reqId, path: target.rest });
+  }
+
+  _getRemote(args) {
+    const target = this._sharePeer(args, "Usage: /get @user <path>");
+    if (!target) return;
+    if (!target.rest)
+      return this.emit(
+        "log",
+        `${COLORS.err}Usage: /get @user <path>${COLORS.reset}`
+      );
+    const reqId = uuidv4();
+    this.shareRequests.set(reqId, {
+      kind: "get",
+      peerId: target.peerId,
+      path: target.rest,
+    });
+    this._send(target.c.ws, "share-get", { reqId, path: target.rest });
+    this.emit(
+      "log",
+      `${COLORS.sys}Asking ${target.c.meta.name} for ${target.rest}...${COLORS.reset}`
+    );
+  }
+
+  // Disk errors get the same reply as a missing folder: the generic
+  // "failed" reply would carry our absolute path.
+  _onShareList(payload, peerId, ws) {
+    let entries = null;
+    try {
+      entries = this._shareEntries(peerId, payload.path);
+    } catch (e) {}
+    if (!entries)
+      return this._sendError(
+        ws,
+        "not-found",
+        `No shared folder ${payload.path || "/"}`,
+        "share-list"
+      );
+    this._send(ws, "share-listing", {
+      reqId: payload.reqId,
+      path: payload.path || "",
+      entries: entries.slice(0, CONFIG.SHARE_LIST_LIMIT),
+      truncated: entries.length > CONFIG.SHARE_LIST_LIMIT,
+    });
+  }
+
+  // The shares the peer may see, or the entries of one of their folders;
+  // null if `ref` is not a folder they may list.
+  _shareEntries(peerId, ref) {
+    if (!ref)
+      return Object.keys(this.shares)
+        .filter((n) => this._resolveShareRef(peerId, n))
+        .map((n) => {
+          const st = fs.statSync(this.shares[n].path);
+          return { name: n, dir: true, size: 0, mtime: st.mtimeMs };
+        });
+    const dir = this._resolveShareRef(peerId, ref);
+    if (!dir || !fs.statSync(dir).isDirectory()) return null;
+    // Entries that resolve outside the share (symlinks) are left out.
+    return fs
+      .readdirSync(dir)
+      .filter((n) => resolveShared(dir, n))
+      .map((n) => {
+        const st = fs.statSync(path.join(dir, n));
+        return {
+          name: n,
+          dir: st.isDirectory(),
+          size: st.isDirectory() ? 0 : st.size,
+          mtime: st.mtimeMs,
+        };
+      });
+  }
+
+  _onShareListing(payload, peerId) {
+    const req = this.shareRequests.get(payload.reqId);
+    if (req?.kind !== "ls" || req.peerId !== peerId) return;
+    this.shareRequests.delete(payload.reqId);
+    const name = this.conns.get(peerId).meta.name;
+    const where = payload.path ? `${name}:${payload.path}` : `${name}'s shares`;
+    // Names and paths are the peer's; escaped so they stay plain text.
+    this.emit("log", `{bold}--- ${blessed.escape(where)} ---{/}`);
+    if (payload.entries.length === 0) this.emit("log", "  (empty)");
+    payload.entries.forEach((e) => {
+      const label = `${e.name}${e.dir ? "/" : ""}`;
+      const size = e.dir ? "-" : kb(e.size);
+      const date = new Date(e.mtime).toLocaleString();
+      this.emit(
+        "log",
+        `  ${blessed.escape(label.padEnd(28))} ${size.padStart(10)}  ${date}`
+      );
+    });
+    if (payload.truncated)
+      this.emit("log", `  ... (first ${payload.entries.length} shown)`);
+  }
+
+  _onShareGet(payload, peerId, ws) {
+    const notFound = () =>
+      this._sendError(
+        ws,
+        "not-found",
+        `No shared file ${payload.path}`,
+        "share-get"
+      );
+    const target = this._resolveShareRef(peerId, payload.path);
+    if (!target) return notFound();
+    const c = this.conns.get(peerId);
+    try {
+      this._offerFile(target, [c], {
+        label: c.meta.name,
+        isPm: true,
+        getId: payload.reqId,
+      });
+    } catch (e) {
+      notFound();
+    }
+  }
+
+  // --- PRESENCE ---
+  _presencePayload() {
+    return { state: this.presence.state, text: this.presence.text };
+  }
+
+  _broadcastPresence() {
+    this._broadcast("presence", this._presencePayload(), "presence");
+    this.emit("presence_update");
+  }
+
+  // Any input from the user; it ends an away we set on our own.
+  noteActivity() {
+    this.lastActivity = Date.now();
+    if (this.presence.auto) this.setPresence("online");
+  }
+
+  _checkIdle() {
+    if (
+      this.presence.state === "online" &&
+      Date.now() - this.lastActivity > CONFIG.AWAY_AFTER
+    ) {
+      this.presence.state = "away";
+      this.presence.auto = true;
+      this._broadcastPresence();
+    }
+  }
+
+  setPresence(state, text) {
+    this.presence.state = state;
+    this.presence.auto = false;
+    if (text !== undefined) return this.setStatus(text.trim());
+    this._broadcastPresence();
+    this.emit("log", `${COLORS.sys}You are ${state}.${COLORS.reset}`);
+  }
+
+  setStatus(text) {
+    this.presence.text = text.slice(0, 80);
+    this.settings.status = this.presence.text;
+    saveJSON(this.files.SETTINGS_FILE, this.settings);
+    this._broadcastPresence();
+    this.emit(
+      "log",
+      `${COLORS.sys}You are ${this.presence.state}${
+        this.presence.text ? `: ${this.presence.text}` : ""
+      }.${COLORS.reset}`
+    );
+  }
+
+  _onPresence(payload, peerId) {
+    if (!PRESENCE_STATES.includes(payload.state)) return;
+    this.conns.get(peerId).presence = {
+      state: payload.state,
+      text: (payload.text || "").slice(0, 80),
+    };
+    this.emit("presence_update");
+  }
+
+  // The UI reports whether the input line holds a message being written.
+  // The DM peer hears "typing" at most every few seconds, and a stop once
+  // the line is sent or cleared.
+  setTyping(active) {
+    const prev = this.typing;
+    if (!active) {
+      this.typing = null;
+      const c = prev && this.conns.get(prev.to);
+      if (c) this._send(c.ws, "typing", { active: false });
+      return;
+    }
+    const to = this.activeTarget;
+    const c = this.conns.get(to);
+    if (!c || !this._peerCan(to, "presence")) return this.setTyping(false);
+    if (prev?.to === to && Date.now() - prev.at < CONFIG.TYPING_TIMEOUT / 2)
+      return;
+    if (prev && prev.to !== to) this.setTyping(false);
+    this.typing = { to, at: Date.now() };
+    this._send(c.ws, "typing", { active: true });
+  }
+
+  // A "typing" that is never followed up lapses after TYPING_TIMEOUT.
+  _onTyping(active, peerId) {
+    const c = this.conns.get(peerId);
+    if (!c || (!active && !c.typingUntil)) return;
+    clearTimeout(c.typingTimer);
+    c.typingUntil = active ? Date.now() + CONFIG.TYPING_TIMEOUT : 0;
+    if (active)
+      c.typingTimer = setTimeout(
+        () => this._onTyping(false, peerId),
+        CONFIG.TYPING_TIMEOUT
+      );
+    this.emit("typing_update", peerId);
+  }
+
+  isTyping(peerId) {
+    return this.conns.get(peerId)?.typingUntil > Date.now();
+  }
+
+  // --- MESH RELAY ---
+  // Sends to a peer directly, or through relaying peers if there is a route.
+  _sendTo(peerId, type, payload) {
+    const c = this.conns.get(peerId);
+    if (c) {
+      this._send(c.ws, type, payload);
+      return true;
+    }
+    const route = this._findRoute(peerId);
+    if (!route || !this.mesh.get(peerId)?.boxKey) return false;
+    this._sendRelay(peerId, { type, payload }, route[1]);
+    return true;
+  }
+
+  // Envelopes are signed by the origin; DM bodies are sealed to the
+  // recipient's box key so relays can forward but not read them.
+  _sendRelay(to, inner, nextHop) {
+    const data = JSON.stringify(inner);
+    const env = {
+      id: uuidv4(),
+      origin: this.identity.id,
+      originName: this.identity.username,
+      to,
+      ttl: CONFIG.RELAY_TTL,
+      pubKey: this.keys.publicKey,
+      body:
+        to === "*"
+          ? data
+          : JSON.stringify(sealFor(this.mesh.get(to).boxKey, data)),
+    };
+    env.sig = crypto
+      .sign(null, relaySignable(env), this.keys.privateKey)
+      .toString("base64");
+    this.seenRelays.add(env.id);
+    if (to === "*") this._broadcast("relay", env, "relay");
+    else this._send(this.conns.get(nextHop).ws, "relay", env);
+  }
+
+  _onRelay(env, viaId) {
+    if (!env?.id || this.seenRelays.has(env.id)) return;
+    if (env.origin === this.identity.id) return;
+
+    let valid = false;
+    try {
+      valid = crypto.verify(
+        null,
+        relaySignable(env),
+        crypto.createPublicKey({
+          key: Buffer.from(env.pubKey, "base64"),
+          format: "der",
+          type: "spki",
+        }),
+        Buffer.from(env.sig, "base64")
+      );
+    } catch (e) {}
+    const known = this.knownPeers[env.origin];
+    if (!valid || (known && known.fingerprint !== fingerprint(env.pubKey)))
+      return this.emit(
+        "log",
+        `${COLORS.err}Dropped relayed frame claiming to be from ${env.originName}: bad signature or key.${COLORS.reset}`
+      );
+    // Only a verified envelope marks its id seen, or a forgery carrying a
+    // real id could shadow the genuine message.
+    this.seenRelays.add(env.id);
+    if (this.seenRelays.size > 5000)
+      this.seenRelays.delete(this.seenRelays.values().next().value);
+
+    if (env.to === "*" || env.to === this.identity.id) {
+      let inner = null;
+      try {
+        inner = JSON.parse(
+          env.to === "*"
+            ? env.body
+            : openSealed(this.keys, JSON.parse(env.body))
+        );
+      } catch (e) {}
+      if (inner) this._deliverRelayed(env, inner, viaId);
+    }
+
+    if (!CONFIG.RELAY || env.to === this.identity.id || env.ttl <= 1) return;
+    const fwd = { ...env, ttl: env.ttl - 1 };
+    if (env.to === "*") {
+      this.conns.forEach((c, id) => {
+        if (id !== viaId && id !== env.origin && this._peerCan(id, "relay"))
+          this._send(c.ws, "relay", fwd);
+      });
+    } else {
+      const next = this._findRoute(env.to)?.[1];
+      if (next && next !== viaId)
+        this._send(this.conns.get(next).ws, "relay", fwd);
+    }
+  }
+
+  _deliverRelayed(env, { type, payload }, viaId) {
+    if (this.isBlocked(env.origin)) return;
+    // Types we don't know come from newer nodes and are skipped quietly.
+    const schema = RELAYED_SCHEMAS[type];
+    if (!schema) return;
+    const problem = validatePayload(schema, payload);
+    if (problem)
+      return this.emit(
+        "log",
+        `${COLORS.err}Dropped relayed ${type} from ${env.originName}: ${problem}${COLORS.reset}`
+      );
+    if (type === "route") {
+      const prev = this.mesh.get(env.origin);
+      if (prev && prev.seq >= payload.seq) return;
+      this.mesh.set(env.origin, {
+        name: env.originName,
+        seq: payload.seq,
+        neighbors: payload.neighbors || [],
+        relay: !!payload.relay,
+        boxKey: payload.boxKey,
+        at: Date.now(),
+        env,
+      });
+    } else if (type === "msg") {
+      this._onChat(
+        { ...payload, name: env.originName, isPm: env.to !== "*" },
+        env.origin
+      );
+    } else if (type === "msg-ack" && env.to !== "*") {
+      this._onMsgAck(payload, env.origin);
+    }
+  }
+
+  // Relays replay the signed announcements they hold so a newly linked
+  // peer learns the topology without waiting for the next round.
+  _shareTopology(peerIds) {
+    if (!CONFIG.RELAY) return;
+    peerIds.forEach((id) => {
+      const c = this.conns.get(id);
+      if (!c || !this._peerCan(id, "relay")) return;
+      this.mesh.forEach((m, origin) => {
+        if (origin !== id && m.env.ttl > 1)
+          this._send(c.ws, "relay", { ...m.env, ttl: m.env.ttl - 1 });
+      });
+    });
+  }
+
+  _scheduleAnnounce() {
+    clearTimeout(this.announceTimer);
+    this.announceTimer = setTimeout(() => this._announceRoute(), 500);
+  }
+
+  _announceRoute() {
+    if (this.conns.size === 0) return;
+    this._sendRelay("*", {
+      type: "route",
+      payload: {
+        seq: Date.now(),
+        neighbors: Array.from(this.conns.keys()),
+        relay: CONFIG.RELAY,
+        boxKey: this.keys.boxPublicKey,
+      },
+    });
+  }
+
+  // Breadth-first search over announced links; only relaying peers can be
+  // intermediate hops. Returns [me, ..., target] or null.
+  _findRoute(target) {
+    const me = this.identity.id;
+    const fresh = (id) => {
+      const m = this.mesh.get(id);
+      return m && Date.now() - m.at < CONFIG.ANNOUNCE_INTERVAL * 3 ? m : null;
+    };
+    const prev = new Map([[me, null]]);
+    const queue = [me];
+    while (queue.length) {
+      const id = queue.shift();
+      if (id === target) {
+        const path = [];
+        for (let n = target; n; n = prev.get(n)) path.unshift(n);
+        return path;
+      }
+      if (id !== me && !fresh(id)?.relay) continue;
+      const next =
+        id === me ? Array.from(this.conns.keys()) : fresh(id).neighbors;
+      for (const n of next) {
+        if (prev.has(n)) continue;
+        prev.set(n, id);
+        queue.push(n);
+      }
+    }
+    return null;
+  }
+
+  _showRoute(ref) {
+    const peer = this._resolvePeer(ref);
+    if (!peer)
+      return this.emit(
+        "log",
+        `${COLORS.err}Unknown peer ${ref}.${COLORS.reset}`
+      );
+    const route = this._findRoute(peer.id);
+    if (!route)
+      return this.emit(
+        "log",
+        `${COLORS.err}No route to ${peer.name}.${COLORS.reset}`
+      );
+    const names = route.map((id) =>
+      id === this.identity.id ? "Me" : this._convoName(id).slice(1)
+    );
+    this.emit(
+      "log",
+      `${COLORS.sys}Route: ${names.join(" -> ")} (${route.length - 1} hop${
+        route.length === 2 ? "" : "s"
+      })${COLORS.reset}`
+    );
+  }
+
+  _setRelay(arg) {
+    if (arg === "on" || arg === "off") {
+      setOption("relay", arg === "on");
+      this._applyOption("relay");
+    }
+    this.emit(
+      "log",
+      `${COLORS.sys}Relaying for other peers is ${
+        CONFIG.RELAY ? "ON" : "OFF"
+      }.${COLORS.reset}`
+    );
+  }
+
+  isBlocked(id) {
+    return this.settings.blocked.includes(id);
+  }
+
+  isMuted(id) {
+    return this.settings.muted.includes(id) || this.isBlocked(id);
+  }
+
+  // list is "muted" or "blocked"; both persist in the settings file.
+  _moderate(list, ref, on) {
+    const peer = this._resolvePeer(ref);
+    if (!peer)
+      return this.emit(
+        "log",
+        `${COLORS.err}Unknown user ${ref}.${COLORS.reset}`
+      );
+    const ids = new Set(this.settings[list]);
+    if (on) ids.add(peer.id);
+    else ids.delete(peer.id);
+    this.settings[list] = [...ids];
+    saveJSON(this.files.SETTINGS_FILE, this.settings);
+    if (list === "blocked" && on) {
+      this._stopReconnect(peer.id);
+      this.conns.get(peer.id)?.ws.close();
+    }
+    if (list === "blocked") this.emit("peers_update");
+    this.emit(
+      "log",
+      `${COLORS.sys}${peer.name} is ${on ? "" : "no longer "}${list}.${
+        COLORS.reset
+      }`
+    );
+  }
+
+  _listModeration() {
+    const name = (id) =>
+      this.contacts[id]?.name || this.knownPeers[id]?.name || shortId(id);
+    const show = (label, ids) =>
+      this.emit(
+        "log",
+        `${COLORS.sys}${label}: ${
+          ids.length ? ids.map(name).join(", ") : "nobody"
+        }${COLORS.reset}`
+      );
+    show("Blocked", this.settings.blocked);
+    show("Muted", this.settings.muted);
+  }
+
+  _setQuiet(arg) {
+    if (arg === "on" || arg === "off") {
+      setOption("quiet", arg === "on");
+    }
+    this.emit(
+      "log",
+      `${COLORS.sys}Invites and nudges are ${
+        CONFIG.QUIET ? "ignored" : "allowed"
+      }.${COLORS.reset}`
+    );
+  }
+
+  _setOption(arg) {
+    const [, name, raw] = /^(\S+)\s*(.*)$/.exec(arg) || [];
+    if (!OPTIONS[name])
+      return this.emit(
+        "log",
+        `${COLORS.err}Unknown option ${name || ""}. See /config.${COLORS.reset}`
+      );
+    if (!raw)
+      return this.emit(
+        "log",
+        `${COLORS.sys}${name} = ${CONFIG[OPTIONS[name].key]} (${
+          CONFIG_SOURCES[name]
+        })${COLORS.reset}`
+      );
+    let value;
+    try {
+      value = parseOption(name, raw);
+    } catch (e) {
+      return this.emit("log", `${COLORS.err}${e.message}.${COLORS.reset}`);
+    }
+    const overridden = CONFIG_SOURCES[name];
+    setOption(name, value);
+    this._applyOption(name);
+    this.emit(
+      "log",
+      `${COLORS.sys}${name} = ${value}, saved to ${CONFIG.CONFIG_FILE}.${COLORS.reset}`
+    );
+    if (OPTIONS[name].restart)
+      this.emit(
+        "log",
+        `${COLORS.sys}${name} takes effect after a restart.${COLORS.reset}`
+      );
+    if (overridden === "env" || overridden === "flag")
+      this.emit(
+        "log",
+        `${COLORS.sys}Next start the ${
+          overridden === "env" ? "environment variable" : "--" + name + " flag"
+        } wins over the saved value.${COLORS.reset}`
+      );
+  }
+
+  // Side effects for options that are read once and cached elsewhere.
+  _applyOption(name) {
+    if (name === "relay") {
+      this._scheduleAnnounce();
+      this._shareTopology(Array.from(this.conns.keys()));
+    }
+    if (name === "flood-penalty") this.flood.penalty = CONFIG.FLOOD_PENALTY;
+    if (name === "receive-dir") {
+      this.files.DIR_RECEIVE = CONFIG.DIR_RECEIVE;
+      fs.mkdirSync(this.files.DIR_RECEIVE, { recursive: true });
+    }
+  }
+
+  _showConfig(filter) {
+    this.emit(
+      "log",
+      `${COLORS.sys}Profile ${CONFIG.PROFILE}, saved in ${CONFIG.CONFIG_FILE}${COLORS.reset}`
+    );
+    describeOptions(filter).forEach((l) => this.emit("log", l));
+  }
+
+  _openDm(ref) {
+    const peer = this._resolvePeer(ref);
+    if (!peer)
+      return this.emit(
+        "log",
+        `${COLORS.err}Unknown peer ${ref}.${COLORS.reset}`
+      );
+    this.setTarget(peer.id);
+  }
+
+  // --- CONTACTS ---
+  _touchContact(id, fields) {
+    const prev = this.contacts[id] || {
+      id,
+      favorite: false,
+      addedAt: Date.now(),
+    };
+    const next = { ...prev };
+    // Keep the last good address if this link could not tell us one.
+    Object.entries(fields).forEach(([k, v]) => {
+      if (v != null) next[k] = v;
+    });
+    this.contacts[id] = next;
+    saveJSON(this.files.CONTACTS_FILE, this.contacts);
+  }
+
+  _autoDial(id) {
+    if (this.stopped || !this.contacts[id] || this.conns.has(id)) return;
+    if (this.isBlocked(id)) return;
+    // The lower id dials first; the other side only steps in if that fails.
+    const delay = this.identity.id < id ? 0 : 3000 + Math.random() * 2000;
+    setTimeout(() => {
+      if (!this.conns.has(id) && !this.stopped) this.connect(id, true);
+    }, delay);
+  }
+
+  _scheduleReconnect(id) {
+    const contact = this.contacts[id];
+    if (!contact || this.conns.has(id) || this.isBlocked(id) || this.stopped)
+      return this._stopReconnect(id);
+    const state = this.reconnects.get(id) || { attempt: 0, timer: null };
+    state.attempt++;
+    if (!contact.favorite && state.attempt > CONFIG.RECONNECT_MAX_ATTEMPTS) {
+      this.emit(
+        "log",
+        `${COLORS.err}Gave up reconnecting to ${contact.name}.${COLORS.reset}`
+      );
+      return this._stopReconnect(id);
+    }
+    const backoff = Math.min(
+      CONFIG.RECONNECT_BASE * 2 ** (state.attempt - 1),
+      CONFIG.RECONNECT_MAX
+    );
+    const delay = backoff * (0.8 + Math.random() * 0.4);
+    clearTimeout(state.timer);
+    state.timer = setTimeout(() => {
+      this._linkStats(id).redials++;
+      this.connect(id, true);
+    }, delay);
+    this.reconnects.set(id, state);
+    if (state.attempt === 1)
+      this.emit(
+        "log",
+        `${COLORS.sys}Will keep trying to reconnect to ${contact.name}.${COLORS.reset}`
+      );
+  }
+
+  _stopReconnect(id) {
+    clearTimeout(this.reconnects.get(id)?.timer);
+    this.reconnects.delete(id);
+  }
+
+  _linkStats(id) {
+    if (!this.linkStats.has(id)) this.linkStats.set(id, new LinkStats());
+    return this.linkStats.get(id);
+  }
+
+  // Bytes per second of this peer's active transfers, from their own rates.
+  _transferRate(id) {
+    return this.transfers
+      .list()
+      .filter((t) => t.peerId === id && t.state === "active")
+      .reduce((sum, t) => sum + (t.rate || 0), 0);
+  }
+
+  _showStats(ref) {
+    const log = (m) => this.emit("log", `${COLORS.sys}${m}${COLORS.reset}`);
+    const fmtRtt = (st) => (st.rtt === null ? "-" : `${st.rtt}ms`);
+    if (ref) {
+      const peer = this._resolvePeer(ref);
+      const st = peer && this.linkStats.get(peer.id);
+      if (!st)
+        return this.emit(
+          "log",
+          `${COLORS.err}No link stats for ${ref} this session.${COLORS.reset}`
+        );
+      const c = this.conns.get(peer.id);
+      const range = st.rttRange();
+      log(
+        `${peer.name}: ${
+          c
+            ? `linked ${fmtAgo(st.linkedAt)} (${
+                c.outbound ? "we dialed" : "they dialed"
+              } ${c.address || "?"})`
+            : "not linked"
+        }`
+      );
+      log(
+        `  RTT: ${fmtRtt(st)}${
+          range
+            ? `, min/avg/max ${range.min}/${range.avg}/${range.max}ms over ${st.rttHistory.length} pings`
+            : ""
+        }`
+      );
+      log(
+        `  In: ${kb(st.bytesIn)} (${st.msgsIn} frames, ${kb(
+          st.fileBytesIn
+        )} files)`
+      );
+      log(
+        `  Out: ${kb(st.bytesOut)} (${st.msgsOut} frames, ${kb(
+          st.fileBytesOut
+        )} files)`
+      );
+      log(
+        `  Bandwidth: ${fmtRate(
+          st.bwHistory[st.bwHistory.length - 1] || 0
+        )}, transfers ${fmtRate(this._transferRate(peer.id))}`
+      );
+      if (c) log(`  Send queue: ${kb(c.ws.bufferedAmount)}`);
+      log(
+        `  Reconnects: ${st.reconnects} (${st.redials} attempt${
+          st.redials === 1 ? "" : "s"
+        })`
+      );
+      return log(`Our loop lag: ${this.loopLag}ms`);
+    }
+    if (this.conns.size === 0)
+      log("No links. /stats @user shows an earlier one.");
+    this.conns.forEach((c, id) => {
+      const st = c.stats;
+      log(
+        `${c.meta.name}: rtt ${fmtRtt(st)}, in ${kb(st.bytesIn)}, out ${kb(
+          st.bytesOut
+        )}, ${fmtRate(st.bwHistory[st.bwHistory.length - 1] || 0)}, ${
+          st.reconnects
+        } reconnects`
+      );
+    });
+    // High RTT with low lag points at the network; lag points at us.
+    log(`Our loop lag: ${this.loopLag}ms`);
+  }
+
+  // The terminal UI draws the view; other front ends have only /stats.
+  _toggleDiagnostics() {
+    if (this.listenerCount("diagnostics") === 0)
+      return this.emit(
+        "log",
+        `${COLORS.err}The diagnostics view needs the terminal UI. Use /stats.${COLORS.reset}`
+      );
+    this.emit("diagnostics");
+  }
+
+  _listContacts() {
+    const list = Object.values(this.contacts).sort(
+      (a, b) => b.favorite - a.favorite || a.name.localeCompare(b.name)
+    );
+    if (list.length === 0)
+      return this.emit(
+        "log",
+        `${COLORS.sys}No contacts yet. Anyone you pair with is saved.${COLORS.reset}`
+      );
+    list.forEach((c) => {
+      const status = this.conns.has(c.id)
+        ? `${COLORS.me}online${COLORS.reset}`
+        : `offline, last seen ${
+            c.lastSeen ? new Date(c.lastSeen).toLocaleString() : "never"
+          }`;
+      this.emit("log", `${c.favorite ? "*" : " "} ${c.name} - ${status}`);
+    });
+  }
+
+  _favoriteContact(ref) {
+    const peer = this._resolvePeer(ref);
+    const c = peer && this.contacts[peer.id];
+    if (!c)
+      return this.emit(
+        "log",
+        `${COLORS.err}${ref || "That user"} is not a contact.${COLORS.reset}`
+      );
+    this._touchContact(c.id, { favorite: !c.favorite });
+    this.emit(
+      "log",
+      `${COLORS.sys}${c.name} ${
+        this.contacts[c.id].favorite ? "added to" : "removed from"
+      } favorites.${COLORS.reset}`
+    );
+  }
+
+  _forgetContact(ref) {
+    const peer = this._resolvePeer(ref);
+    if (!peer || !this.contacts[peer.id])
+      return this.emit(
+        "log",
+        `${COLORS.err}${ref || "That user"} is not a contact.${COLORS.reset}`
+      );
+    delete this.contacts[peer.id];
+    this._stopReconnect(peer.id);
+    saveJSON(this.files.CONTACTS_FILE, this.contacts);
+    this.emit(
+      "log",
+      `${COLORS.sys}Forgot ${peer.name}. They will not be auto-dialed.${COLORS.reset}`
+    );
+  }
+
+  // Every slash command, for completion.
+  commandNames() {
+    const names = this._helpLines()
+      .map((l) => l.match(/^\s+(\/\w+)/)?.[1])
+      .filter(Boolean);
+    return [...new Set([...names, "/help"])].sort();
+  }
+
+  _helpLines() {
+    return [
+      `{bold}LAN-OS COMMANDS:{/}`,
+      `  /send <path>     : Send file or folder (to DM or All)`,
+      `  /acceptfile [id] : Accept incoming file`,
+      `  /reject [id]     : Decline incoming file`,
+      `  /transfers       : List active transfers`,
+      `  /cancel <id>     : Cancel a transfer`,
+      `  /share <dir> [@u]: Share a folder read-only (default: all)`,
+      `  /shares          : List your shared folders`,
+      `  /unshare <name>  : Stop sharing a folder`,
+      `  /ls @user [path] : Browse a peer's shared folders`,
+      `  /get @user <path>: Download from a peer's share`,
+      `  /nudge           : Shake opponent's screen`,
+      `  /play [game]     : Invite to ${Object.keys(GAMES).join(", ")}`,
+      `  /accept [id]     : Accept Game Invite`,
+      `  /move <move>     : Play a move in the current game`,
+      `  /games           : List games`,
+      `  /game <id>       : Show a game in the panel`,
+      `  /rematch [id]    : Play a finished game again`,
+      `  /spectate @user  : Watch a peer's game`,
+      `  /scores          : Wins, losses and draws per peer`,
+      `  /exec <cmd>      : Request remote shell`,
+      `  /allow [id]      : Approve shell request`,
+      `  /deny [id]       : Refuse shell request`,
+      `  /jobs            : List running remote jobs`,
+      `  /stdin <id> text : Send a line to a job's input`,
+      `  /kill <id>       : Stop a remote job`,
+      `  /verify [@user]  : Compare key fingerprints`,
+      `  /history [n]     : Show last n messages here`,
+      `  /search <text>   : Search all conversations`,
+      `  /join #room      : Join or create a room`,
+      `  /leave [#room]   : Leave a room`,
+      `  /rooms           : List rooms`,
+      `  /invite @u #room : Invite a peer to a room`,
+      `  /dm @user        : Open a DM (relayed if needed)`,
+      `  /relay [on|off]  : Forward traffic for others`,
+      `  /route @user     : Show the path to a peer`,
+      `  /connect ip:port : Dial an address directly`,
+      `  /contacts        : List saved contacts`,
+      `  /favorite @user  : Toggle favorite (retry forever)`,
+      `  /forget @user    : Remove a saved contact`,
+      `  /mute @user      : Hide a peer's messages and nudges`,
+      `  /unmute @user    : Show them again`,
+      `  /block @user     : Refuse a peer's connections`,
+      `  /unblock @user   : Allow them again`,
+      `  /blocked         : List blocked and muted peers`,
+      `  /quiet [on|off]  : Ignore all invites and nudges`,
+      `  /status [text]   : Set or clear your status message`,
+      `  /away [text]     : Show as away`,
+      `  /busy [text]     : Show as busy`,
+      `  /online          : Show as online again`,
+      `  /config [filter] : Show settings and where each comes from`,
+      `  /set <opt> <val> : Change a setting and save it`,
+      `  /stats [@user]   : Link RTT, traffic and reconnects`,
+      `  /diag            : Toggle RTT and bandwidth graphs (F2)`,
+    ];
+  }
+
+  _showHelp() {
+    this._helpLines().forEach((l) => this.emit("log", l));
+  }
+
+  _sendNudge() {
+    const t = this.conns.get(this.activeTarget);
+    if (!t || this.activeTarget === "general")
+      return this.emit(
+        "log",
+        `${COLORS.err}Only DMs can be nudged.${COLORS.reset}`
+      );
+    this._send(t.ws, "nudge", { fromName: this.identity.username });
+    this.emit("log", `${COLORS.dm}Nudged ${t.meta.name}!${COLORS.reset}`);
+  }
+
+  _requestShell(cmd) {
+    const t = this.conns.get(this.activeTarget);
+    if (!t || this.activeTarget === "general")
+      return this.emit(
+        "log",
+        `${COLORS.err}Only DMs support remote shell.${COLORS.reset}`
+      );
+    if (!this._requireCap(this.activeTarget, "jobs", "remote jobs")) return;
+    const id = uuidv4();
+    this.jobs.set(id, {
+      id,
+      remote: true,
+      peerId: this.activeTarget,
+      peerName: t.meta.name,
+      cmd,
+      started: Date.now(),
+    });
+    this._send(t.ws, "shell-req", {
+      id,
+      fromId: this.identity.id,
+      fromName: this.identity.username,
+      cmd,
+    });
+    this.emit(
+      "log",
+      `${COLORS.sys}Requesting to run '${cmd}' on ${t.meta.name}'s PC...${COLORS.reset}`
+    );
+  }
+
+  // Requests are keyed on our own id; `ref` is the requester's, used only
+  // on the wire, so a peer cannot swap the command behind a pending id.
+  _onShellRequest(payload, peerId) {
+    if (this._peerJob(peerId, payload.id))
+      return this._sendError(
+        this.conns.get(peerId).ws,
+        "invalid",
+        "Duplicate shell request id",
+        "shell-req"
+      );
+    const req = {
+      id: uuidv4(),
+      ref: payload.id,
+      peerId,
+      peerName: this.conns.get(peerId).meta.name,
+      cmd: String(payload.cmd || ""),
+    };
+    const policy = loadShellPolicy(this.files.SHELL_POLICY_FILE);
+    const verdict = evaluateShell(
+      policy,
+      peerId,
+      req.cmd,
+      !!this.knownPeers[peerId]?.verified
+    );
+    // Both come from the peer; escaped so they cannot hide or restyle
+    // what is asked to run.
+    const who = blessed.escape(String(req.peerName));
+    const what = blessed.escape(req.cmd);
+
+    if (verdict.action === "deny") {
+      this.emit(
+        "log",
+        `${COLORS.err}Refused ${who}'s shell request '${what}': ${verdict.reason}${COLORS.reset}`
+      );
+      return this._refuseShell(req, "auto-denied", verdict.reason);
+    }
+    if (verdict.action === "allow") {
+      this.emit(
+        "log",
+        `${COLORS.sys}Running '${what}' for ${who} (${verdict.reason})${COLORS.reset}`
+      );
+      return this._runShell(req, "auto-allowed", policy);
+    }
+
+    this.shellRequests.set(req.id, req);
+    this.emit(
+      "log",
+      `${COLORS.err}[SECURITY WARNING]${COLORS.reset} ${who} wants to run: ${
+        COLORS.cmd
+      }${what}${COLORS.reset}${verdict.reason ? ` (${verdict.reason})` : ""}`
+    );
+    this.emit(
+      "log",
+      `Type ${COLORS.cmd}/allow ${shortId(req.id)}${COLORS.reset} or ${
+        COLORS.cmd
+      }/deny ${shortId(req.id)}${COLORS.reset}.`
+    );
+  }
+
+  // A pending request or running job of ours that `peerId` knows as `ref`.
+  _peerJob(peerId, ref) {
+    return [...this.shellRequests.values(), ...this.jobs.values()].find(
+      (j) => !j.remote && j.peerId === peerId && j.ref === ref
+    );
+  }
+
+  // Without an id only a lone request matches, so a peer cannot slip one
+  // in just before the user types /allow.
+  _findShellRequest(ref) {
+    const matches = [...this.shellRequests.values()].filter(
+      (r) => !ref || r.id.startsWith(ref)
+    );
+    if (matches.length === 1) return matches[0];
+    this.emit(
+      "log",
+      `${COLORS.err}${
+        matches.length
+          ? "Several shell requests are pending; give an id."
+          : "No pending shell requests."
+      }${COLORS.reset}`
+    );
+    return null;
+  }
+
+  _approveShell(ref) {
+    const req = this._findShellRequest(ref);
+    if (!req) return;
+    this.shellRequests.delete(req.id);
+    if (!this.conns.has(req.peerId))
+      return this.emit(
+        "log",
+        `${COLORS.err}${req.peerName} is no longer connected.${COLORS.reset}`
+      );
+    this.emit("log", `${COLORS.sys}Executing: ${req.cmd}${COLORS.reset}`);
+    this._runShell(
+      req,
+      "allowed",
+      loadShellPolicy(this.files.SHELL_POLICY_FILE)
+    );
+  }
+
+  _denyShell(ref) {
+    const req = this._findShellRequest(ref);
+    if (!req) return;
+    this.shellRequests.delete(req.id);
+    this._refuseShell(req, "denied", "refused by user");
+    this.emit(
+      "log",
+      `${COLORS.sys}Denied '${req.cmd}' from ${req.peerName}.${COLORS.reset}`
+    );
+  }
+
+  _refuseShell(req, decision, reason) {
+    auditShell(this.files.SHELL_AUDIT_FILE, {
+      id: req.id,
+      peerId: req.peerId,
+      peerName: req.peerName,
+      cmd: req.cmd,
+      decision,
+      reason,
+    });
+    const c = this.conns.get(req.peerId);
+    if (c)
+      this._send(c.ws, "shell-exit", { id: req.ref, denied: true, reason });
+  }
+
+  // Streams the job's output to the requester line by line until it exits.
+  _runShell(req, decision, policy) {
+    const job = { ...req, started: Date.now(), bytes: 0, truncated: false };
+    job.child = spawn(req.cmd, {
+      shell: true,
+      detached: process.platform !== "win32",
+    });
+    this.jobs.set(job.id, job);
+    liveJobs.add(job.child);
+
+    const send = (type, payload) => {
+      const c = this.conns.get(job.peerId);
+      if (c) this._send(c.ws, type, { id: job.ref, ...payload });
+    };
+    const stream = (name) =>
+      lineSplitter((line) => {
+        if (!job.truncated) send("shell-data", { stream: name, line });
+      });
+    const out = stream("stdout");
+    const err = stream("stderr");
+    // Raw bytes count against the cap, newlines or not.
+    const take = (splitter) => (d) => {
+      if (job.truncated) return;
+      job.bytes += d.length;
+      if (job.bytes > policy.maxOutput) {
+        job.truncated = true;
+        return killJob(job.child);
+      }
+      splitter.push(d.toString());
+    };
+    job.child.stdout.on("data", take(out));
+    job.child.stderr.on("data", take(err));
+    job.child.stdin.on("error", () => {});
+
+    const timer =
+      policy.timeout > 0 &&
+      setTimeout(() => {
+        job.timedOut = true;
+        killJob(job.child);
+      }, policy.timeout);
+
+    let finished = false;
+    const finish = (exitCode, signal) => {
+      if (finished) return;
+      finished = true;
+      liveJobs.delete(job.child);
+      clearTimeout(timer);
+      out.flush();
+      err.flush();
+      this.jobs.delete(job.id);
+      const result = {
+        exitCode,
+        signal,
+        durationMs: Date.now() - job.started,
+        timedOut: !!job.timedOut,
+        truncated: job.truncated,
+        killed: !!job.killed,
+      };
+      auditShell(this.files.SHELL_AUDIT_FILE, {
+        id: job.id,
+        peerId: job.peerId,
+        peerName: job.peerName,
+        cmd: job.cmd,
+        decision,
+        ...result,
+      });
+      send("shell-exit", result);
+      this.emit(
+        "log",
+        `${COLORS.sys}Job ${shortId(job.id)} finished (exit ${exitCode}, ${
+          result.durationMs
+        }ms).${COLORS.reset}`
+      );
+    };
+    job.child.on("error", (e) => {
+      send("shell-data", { stream: "stderr", line: e.message });
+      finish(null, null);
+    });
+    job.child.on("close", (code, signal) => finish(code, signal));
+  }
+
+  _findJob(ref) {
+    const matches = [...this.jobs.values()].filter(
+      (j) => ref && j.id.startsWith(ref)
+    );
+    return matches[matches.length - 1];
+  }
+
+  _onShellData(payload, peerId) {
+    const job = this.jobs.get(payload.id);
+    if (!job?.remote || job.peerId !== peerId) return;
+    const color = payload.stream === "stderr" ? COLORS.err : COLORS.cmd;
+    this.emit(
+      "log",
+      `${color}[${shortId(job.id)}]${COLORS.reset} ${payload.line}`
+    );
+  }
+
+  _onShellExit(payload, peerId) {
+    const job = this.jobs.get(payload.id);
+    if (!job?.remote || job.peerId !== peerId) return;
+    this.jobs.delete(job.id);
+    if (payload.denied)
+      return this.emit(
+        "log",
+        `${COLORS.err}${job.peerName} refused '${job.cmd}': ${payload.reason}${COLORS.reset}`
+      );
+    const notes = [
+      payload.signal ? `signal ${payload.signal}` : `exit ${payload.exitCode}`,
+      `${payload.durationMs}ms`,
+      payload.killed && "killed",
+      payload.timedOut && "timed out",
+      payload.truncated && "output limit reached",
+    ].filter(Boolean);
+    this.emit(
+      "log",
+      `${COLORS.cmd}[${shortId(job.id)}] ${job.cmd} finished (${notes.join(
+        ", "
+      )})${COLORS.reset}`
+    );
+  }
+
+  // Only the peer that asked for a job may feed or stop it.
+  _onShellInput(payload, peerId) {
+    const job = this._peerJob(peerId, payload.id);
+    if (!job?.child) return;
+    job.child.stdin.write(`${payload.line}\n`);
+  }
+
+  _onShellKill(payload, peerId) {
+    const job = this._peerJob(peerId, payload.id);
+    if (!job?.child) return;
+    job.killed = true;
+    killJob(job.child);
+  }
+
+  _listJobs() {
+    if (this.jobs.size === 0)
+      return this.emit("log", `${COLORS.sys}No running jobs.${COLORS.reset}`);
+    this.emit("log", `${COLORS.sys}Jobs:${COLORS.reset}`);
+    this.jobs.forEach((j) =>
+      this.emit(
+        "log",
+        `  ${shortId(j.id)}  ${
+          j.remote ? `on ${j.peerName}` : `for ${j.peerName}`
+        }  ${j.cmd}  ${Math.round((Date.now() - j.started) / 1000)}s`
+      )
+    );
+  }
+
+  _sendJobInput(ref, line) {
+    const job = this._findJob(ref);
+    if (!job?.remote)
+      return this.emit(
+        "log",
+        `${COLORS.err}No remote job matches '${ref}'. See /jobs.${COLORS.reset}`
+      );
+    const c = this.conns.get(job.peerId);
+    if (!c)
+      return this.emit(
+        "log",
+        `${COLORS.err}${job.peerName} is no longer connected.${COLORS.reset}`
+      );
+    this._send(c.ws, "shell-in", { id: job.id, line });
+  }
+
+  // Works on both ends: stops our own job, or asks the peer to stop theirs.
+  _killJob(ref) {
+    const job = this._findJob(ref);
+    if (!job)
+      return this.emit(
+        "log",
+        `${COLORS.err}No job matches '${ref}'. See /jobs.${COLORS.reset}`
+      );
+    if (!job.remote) {
+      job.killed = true;
+      killJob(job.child);
+    } else {
+      const c = this.conns.get(job.peerId);
+      if (c) this._send(c.ws, "shell-kill", { id: job.id });
+      else this.jobs.delete(job.id);
+    }
+    this.emit(
+      "log",
+      `${COLORS.sys}Stopping job ${shortId(job.id)}...${COLORS.reset}`
+    );
+  }
+
+  // A job's output has nowhere to go once its requester drops off.
+  _endPeerJobs(peerId) {
+    this.jobs.forEach((j) => {
+      if (j.peerId !== peerId) return;
+      if (j.remote) this.jobs.delete(j.id);
+      else {
+        j.killed = true;
+        killJob(j.child);
+      }
+    });
+  }
+
+  // --- FILE TRANSFER ---
+  // Offers a file to a conversation, the open one unless told otherwise.
+  // Returns the fileId, or null if nothing was offered.
+  _sendFile(filePath, target = this.activeTarget) {
+    const fail = (message) => {
+      this.emit("log", `${COLORS.err}${message}${COLORS.reset}`);
+      return null;
+    };
+    if (!fs.existsSync(filePath)) return fail("File not found.");
+
+    // 1. Determine Targets
+    let targets = [];
+    const isGeneral = target === "general";
+
+    const room = target.startsWith("#") ? target : null;
+
+    if (isGeneral || room) {
+      if (room) targets = this._roomMembers(room);
+      else this.conns.forEach((c) => targets.push(c));
+      if (targets.length === 0)
+        return fail("No peers online to receive broadcast.");
+    } else {
+      const t = this.conns.get(target);
+      if (!t) return fail("Target disconnected.");
+      targets.push(t);
+    }
+
+    return this._offerFile(filePath, targets, {
+      label: isGeneral ? "#General" : room || targets[0].meta.name,
+      isPm: !isGeneral && !room,
+      room,
+    });
+  }
+
+  // Offers a file or folder to each target; streaming starts once a peer
+  // replies with file-accept. getId marks an offer answering a /get.
+  // Returns the offer's fileId, or undefined if no one was offered it.
+  _offerFile(filePath, targets, { label, isPm, room, getId }) {
+    const fileId = uuidv4();
+    const isDir = fs.statSync(filePath).isDirectory();
+    if (isDir) {
+      targets = targets.filter((t) =>
+        this._requireCap(t.meta.fromId, "folders", "folder transfers")
+      );
+      if (targets.length === 0) return;
+    }
+    const filename = path.basename(path.resolve(filePath));
+    const { files, bytes, tarBytes } = isDir
+      ? dirStats(filePath)
+      : { files: 1, bytes: fs.statSync(filePath).size };
+    const hash = hashStream(
+      isDir ? packDir(filePath) : fs.createReadStream(filePath)
+    );
+    hash.catch(() => {});
+    const source = { path: filePath, isDir, hash };
+
+    this.emit(
+      "log",
+      `${COLORS.me}${getId ? "Sending" : "Offering"} ${
+        isDir ? `folder ${filename}/ (${files} files)` : filename
+      } to ${label}${getId ? "" : "... waiting for acceptance"}.${COLORS.reset}`
+    );
+
+    targets.forEach((t) => {
+      this.transfers.add({
+        direction: "out",
+        fileId,
+        peerId: t.meta.fromId,
+        peerName: t.meta.name,
+        name: filename,
+        size: bytes,
+        wireSize: isDir ? tarBytes : bytes,
+        source,
+      });
+      this._send(t.ws, "file-offer", {
+        fileId,
+        filename,
+        size: bytes,
+        wireSize: isDir ? tarBytes : bytes,
+        isDir,
+        fileCount: files,
+        fromId: this.identity.id,
+        fromName: this.identity.username,
+        isPm,
+        room: room || undefined,
+        getId,
+      });
+    });
+    return fileId;
+  }
+
+  _streamFile(fileId, peerId, offset) {
+    const t = this.transfers.get("out", fileId, peerId);
+    const c = this.conns.get(peerId);
+    if (!t || !c) return;
+
+    t.stream?.destroy();
+    const start = Math.max(0, offset);
+    if (start > 0)
+      this.emit(
+        "log",
+        `${COLORS.sys}Resuming ${t.name} for ${t.peerName} at ${kb(start)}${
+          COLORS.reset
+        }`
+      );
+
+    // Folders go out as a tar stream; a resume re-packs and skips ahead.
+    const { source } = t;
+    const stream = source.isDir
+      ? packDir(source.path)
+      : fs.createReadStream(source.path, {
+          start,
+          highWaterMark: CONFIG.CHUNK_SIZE,
+        });
+    let skip = source.isDir ? start : 0;
+    let waiting = null;
+    t.stream = stream;
+    t.done = start;
+    this.transfers.setState(t, "active");
+
+    stream.on("data", (chunk) => {
+      if (c.ws.readyState !== WebSocket.OPEN) return stream.destroy();
+      if (skip > 0) {
+        const n = Math.min(skip, chunk.length);
+        skip -= n;
+        chunk = chunk.subarray(n);
+        if (chunk.length === 0) return;
+      }
+      this._sendBinary(c.ws, fileId, chunk, (err) => {
+        if (!err) this.transfers.progress(t, chunk.length);
+      });
+      // Backpressure: stop reading until the socket drains below half.
+      if (c.ws.bufferedAmount > CONFIG.MAX_BUFFERED) {
+        stream.pause();
+        waiting = setInterval(() => {
+          if (c.ws.bufferedAmount > CONFIG.MAX_BUFFERED / 2) return;
+          clearInterval(waiting);
+          stream.resume();
+        }, 20);
+      }
+    });
+
+    stream.on("close", () => clearInterval(waiting));
+
+    stream.on("end", async () => {
+      let sha256;
+      try {
+        sha256 = await source.hash;
+      } catch (err) {
+        return this.emit(
+          "log",
+          `${COLORS.err}Hash Error: ${err.message}${COLORS.reset}`
+        );
+      }
+      t.stream = null;
+      this.transfers.setState(t, "verifying");
+      this._send(c.ws, "file-end", { fileId, filename: t.name, sha256 });
+      this.emit(
+        "log",
+        `${COLORS.me}Sent ${t.name} to ${t.peerName}, awaiting verification.${COLORS.reset}`
+      );
+    });
+
+    stream.on("error", (err) => {
+      this.emit(
+        "log",
+        `${COLORS.err}Read Error: ${err.message}${COLORS.reset}`
+      );
+    });
+  }
+
+  _onFileOffer(payload, peerId) {
+    const get = payload.getId && this.shareRequests.get(payload.getId);
+    const isPm = payload.isPm !== false;
+    const room = roomName(payload.room);
+    if (payload.room && !this.joinedRooms.has(room)) return;
+    const c = this.conns.get(peerId);
+    // A reused fileId, from this peer or another, would shadow the
+    // transfer already under it.
+    const taken = this.transfers
+      .list()
+      .some((t) => t.direction === "in" && t.fileId === payload.fileId);
+    if (taken)
+      return this._send(c.ws, "file-reject", { fileId: payload.fileId });
+    const prefix = isPm
+      ? `${COLORS.dm}[DM ${c.meta.name}]`
+      : `${COLORS.gen}[${room || "#Gen"} ${c.meta.name}]`;
+    const name = safeFilename(payload.filename);
+    const desc = payload.isDir
+      ? `folder ${name}/ (${payload.fileCount} files, ${kb(payload.size)})`
+      : `${name} (${kb(payload.size)})`;
+
+    // Files we asked for with /get skip the rules, but not the size limit.
+    const policy = loadReceivePolicy(this.files.RECEIVE_POLICY_FILE);
+    const requested = get?.kind === "get" && get.peerId === peerId;
+    if (requested) this.shareRequests.delete(payload.getId);
+    const verdict =
+      requested && payload.size <= policy.maxFileSize
+        ? { action: "accept" }
+        : evaluateOffer(policy, {
+            peerId,
+            pinnedName: this.knownPeers[peerId]?.verified
+              ? this.knownPeers[peerId].name
+              : null,
+            name,
+            size: payload.size,
+            isDir: !!payload.isDir,
+          });
+    if (verdict.action === "reject") {
+      this._send(c.ws, "file-reject", { fileId: payload.fileId });
+      return this.emit(
+        "log",
+        `${prefix} ${COLORS.err}Rejected ${desc}: ${verdict.reason}.${COLORS.reset}`
+      );
+    }
+
+    const t = this.transfers.add({
+      direction: "in",
+      fileId: payload.fileId,
+      peerId,
+      peerName: c.meta.name,
+      name,
+      size: payload.size,
+      wireSize: payload.wireSize || payload.size,
+      isDir: !!payload.isDir,
+      fileCount: payload.fileCount,
+      path: null,
+    });
+
+    this.emit(
+      "log",
+      `${prefix} ${COLORS.file}Offers: ${desc} [${shortId(payload.fileId)}]${
+        COLORS.reset
+      }`
+    );
+    if (verdict.action === "accept") return this._acceptOffer(t);
+    this.emit(
+      "log",
+      `Type ${COLORS.cmd}/acceptfile${COLORS.reset} or ${COLORS.cmd}/reject${COLORS.reset} (add the id if several are waiting).`
+    );
+  }
+
+  _findOffer(ref) {
+    const matches = this.transfers
+      .list()
+      .filter(
+        (t) =>
+          t.direction === "in" &&
+          t.state === "pending" &&
+          (!ref || t.fileId.startsWith(ref))
+      );
+    return matches[matches.length - 1];
+  }
+
+  _acceptFile(ref) {
+    const t = this._findOffer(ref);
+    if (!t)
+      return this.emit(
+        "log",
+        `${COLORS.err}No pending file offers.${COLORS.reset}`
+      );
+    this._acceptOffer(t);
+  }
+
+  _acceptOffer(t) {
+    const c = this.conns.get(t.peerId);
+    if (!c)
+      return this.emit(
+        "log",
+        `${COLORS.err}${t.peerName} is no longer connected.${COLORS.reset}`
+      );
+
+    const policy = loadReceivePolicy(this.files.RECEIVE_POLICY_FILE);
+    const problem =
+      t.size > policy.maxFileSize
+        ? `it is larger than the ${kb(policy.maxFileSize)} limit`
+        : this._receivedBytes() + t.wireSize > policy.quota
+        ? `it would exceed the ${kb(policy.quota)} receive quota`
+        : null;
+    if (problem) {
+      this._send(c.ws, "file-reject", { fileId: t.fileId });
+      this.transfers.remove(t);
+      return this.emit(
+        "log",
+        `${COLORS.err}Not accepting ${t.name}: ${problem}.${COLORS.reset}`
+      );
+    }
+
+    const dir = policy.perPeerFolders
+      ? path.join(
+          this.files.DIR_RECEIVE,
+          `${safeFilename(t.peerName)}-${shortId(t.peerId)}`
+        )
+      : this.files.DIR_RECEIVE;
+    fs.mkdirSync(dir, { recursive: true });
+    // Folders are staged as a tar and only extracted once the hash checks out.
+    t.path = path.join(
+      dir,
+      `${Date.now()}_${t.name}${t.isDir ? ".tar.part" : ""}`
+    );
+    this._openIncoming(t, "w");
+    this._send(c.ws, "file-accept", { fileId: t.fileId, offset: 0 });
+    this.emit(
+      "log",
+      `${COLORS.file}Receiving: ${t.name} from ${t.peerName}...${COLORS.reset}`
+    );
+  }
+
+  // What received_files holds, plus what incoming transfers still expect.
+  _receivedBytes() {
+    const onDisk = fs.existsSync(this.files.DIR_RECEIVE)
+      ? dirStats(this.files.DIR_RECEIVE).bytes
+      : 0;
+    return this.transfers
+      .list()
+      .filter((t) => t.direction === "in" && t.path)
+      .reduce((sum, t) => sum + Math.max(0, t.wireSize - t.done), onDisk);
+  }
+
+  _openIncoming(t, flags) {
+    t.stream = fs.createWriteStream(t.path, { flags });
+    t.stream.on("error", (err) => {
+      // Writes still queued when a transfer is cancelled fail harmlessly.
+      if (err.code === "ERR_STREAM_DESTROYED") return;
+      this.emit(
+        "log",
+        `${COLORS.err}Write Error: ${err.message}${COLORS.reset}`
+      );
+    });
+    this.transfers.setState(t, "active");
+  }
+
+  _rejectFile(ref) {
+    const t = this._findOffer(ref);
+    if (!t)
+      return this.emit(
+        "log",
+        `${COLORS.err}No pending file offers.${COLORS.reset}`
+      );
+    const c = this.conns.get(t.peerId);
+    if (c) this._send(c.ws, "file-reject", { fileId: t.fileId });
+    this.transfers.remove(t);
+    this.emit("log", `${COLORS.sys}Declined ${t.name}.${COLORS.reset}`);
+  }
+
+  _finishFile(payload, peerId) {
+    const t = this.transfers.get("in", payload.fileId, peerId);
+    if (!t || t.state !== "active") return;
+    this.transfers.setState(t, "verifying");
+
+    t.stream.end(async () => {
+      t.stream = null;
+      let ok = false;
+      try {
+        ok = (await hashFile(t.path)) === payload.sha256;
+      } catch (e) {}
+      const c = this.conns.get(t.peerId);
+      const done = (ok) => {
+        this.transfers.remove(t);
+        if (c) this._send(c.ws, "file-done", { fileId: t.fileId, ok });
+      };
+      if (ok && t.isDir) return this._extractDir(t, (err) => done(!err));
+      if (ok) {
+        this.emit(
+          "log",
+          `${COLORS.me}File Saved from ${t.peerName}: ${path.basename(
+            t.path
+          )} (SHA-256 verified)${COLORS.reset}`
+        );
+      } else {
+        fs.rm(t.path, { force: true }, () => {});
+        this.emit(
+          "log",
+          `${COLORS.err}Checksum mismatch on ${t.name} from ${t.peerName}. File discarded.${COLORS.reset}`
+        );
+      }
+      done(ok);
+    });
+  }
+
+  // Only plain files and folders are unpacked: links could point the
+  // next entry somewhere outside dest.
+  _extractDir(t, done) {
+    const dest = path.join(path.dirname(t.path), `${Date.now()}_${t.name}`);
+    let files = 0;
+    let bytes = 0;
+    const extract = tar.extract(dest, {
+      ignore: (name, header) =>
+        header.type !== "file" && header.type !== "directory",
+      map: (header) => {
+        if (header.type === "file") {
+          files++;
+          bytes += header.size;
+          if (bytes > t.size)
+            process.nextTick(() =>
+              extract.destroy(new Error("more data than declared"))
+            );
+        }
+        return header;
+      },
+    });
+    let settled = false;
+    const finish = (err) => {
+      if (settled) return;
+      settled = true;
+      fs.rm(t.path, { force: true }, () => {});
+      if (err) fs.rm(dest, { recursive: true, force: true }, () => {});
+      this.emit(
+        "log",
+        err
+          ? `${COLORS.err}Could not unpack ${t.name}: ${err.message}${COLORS.reset}`
+          : `${COLORS.me}Folder Saved from ${t.peerName}: ${path.basename(
+              dest
+            )}/ (${files} files, ${kb(bytes)}, SHA-256 verified)${COLORS.reset}`
+      );
+      done(err);
+    };
+    extract.on("finish", () => finish());
+    extract.on("error", finish);
+    fs.createReadStream(t.path).on("error", finish).pipe(extract);
+  }
+
+  _listTransfers() {
+    const items = this.transfers.list();
+    if (items.length === 0)
+      return this.emit("log", `${COLORS.sys}No transfers.${COLORS.reset}`);
+    items.forEach((t) =>
+      this.emit(
+        "log",
+        `${COLORS.file}${this.transfers.describe(t)}${COLORS.reset}`
+      )
+    );
+  }
+
+  _cancelTransfer(ref) {
+    const items = this.transfers.find(ref);
+    if (items.length === 0)
+      return this.emit(
+        "log",
+        `${COLORS.err}No transfer matches '${ref}'. See /transfers.${COLORS.reset}`
+      );
+    items.forEach((t) => {
+      const c = this.conns.get(t.peerId);
+      if (c) this._send(c.ws, "file-cancel", { fileId: t.fileId });
+      this._dropTransfer(t);
+      this.emit(
+        "log",
+        `${COLORS.sys}Cancelled ${t.name} (${t.peerName}).${COLORS.reset}`
+      );
+    });
+  }
+
+  _onFileCancel(fileId, peerId) {
+    const t =
+      this.transfers.get("out", fileId, peerId) ||
+      this.transfers.get("in", fileId, peerId);
+    if (!t) return;
+    this._dropTransfer(t);
+    this.emit(
+      "log",
+      `${COLORS.err}${t.peerName} cancelled ${t.name}.${COLORS.reset}`
+    );
+  }
+
+  // Drops an incoming transfer the sender misbehaved on.
+  _abortIncoming(t, why) {
+    const c = this.conns.get(t.peerId);
+    if (c) this._send(c.ws, "file-cancel", { fileId: t.fileId });
+    this._dropTransfer(t);
+    this.emit(
+      "log",
+      `${COLORS.err}Stopped ${t.name} from ${t.peerName}: ${why}.${COLORS.reset}`
+    );
+  }
+
+  // Stops a transfer and removes whatever partial data it left behind.
+  _dropTransfer(t) {
+    const rm = () => fs.rm(t.path, { force: true }, () => {});
+    if (t.stream) {
+      if (t.direction === "in") t.stream.once("close", rm);
+      t.stream.destroy();
+    } else if (t.direction === "in" && t.path) {
+      Promise.resolve(t.flushed).then(rm);
+    }
+    this.transfers.remove(t);
+  }
+
+  // Called when a link drops: keep partial files so the transfer can resume.
+  _interruptTransfers(peerId) {
+    this.transfers.list().forEach((t) => {
+      if (t.peerId !== peerId || t.state !== "active") return;
+      if (t.direction === "in") {
+        t.flushed = new Promise((res) => t.stream.end(res));
+        this.emit(
+          "log",
+          `${COLORS.err}Transfer of ${t.name} interrupted at ${kb(
+            t.done
+          )}. Will resume on reconnect.${COLORS.reset}`
+        );
+      } else {
+        t.stream.destroy();
+      }
+      t.stream = null;
+      this.transfers.setState(t, "interrupted");
+    });
+  }
+
+  // Called after a (re)pair: ask the sender to continue from what is on disk.
+  async _resumeTransfers(peerId) {
+    const waiting = this.transfers
+      .list()
+      .filter(
+        (t) =>
+          t.direction === "in" &&
+          t.peerId === peerId &&
+          t.state === "interrupted"
+      );
+    for (const t of waiting) {
+      await t.flushed;
+      const c = this.conns.get(peerId);
+      if (!c || !this.transfers.items.has(t.key)) continue;
+      // Without resume support the sender can only start over.
+      const resume = this._peerCan(peerId, "resume");
+      t.done = resume && fs.existsSync(t.path) ? fs.statSync(t.path).size : 0;
+      this._openIncoming(t, resume ? "a" : "w");
+      this._send(c.ws, "file-accept", { fileId: t.fileId, offset: t.done });
+      this.emit(
+        "log",
+        resume
+          ? `${COLORS.sys}Resuming ${t.name} from ${kb(t.done)}...${
+              COLORS.reset
+            }`
+          : `${COLORS.sys}Restarting ${t.name}...${COLORS.reset}`
+      );
+    }
+  }
+  // --- END FILE TRANSFER ---
+
+  // --- GAMES ---
+  // The inviter's copy is authoritative. Every move carries a sequence
+  // number and a hash of the public view; on any mismatch the invitee asks
+  // for the inviter's view and replaces its own.
+  _invite(args, rematch = null) {
+    const [name = "tictactoe", ...rest] = args.split(/\s+/).filter(Boolean);
+    const type = GAME_ALIASES[name.toLowerCase()] || name.toLowerCase();
+    const plugin = GAMES[type];
+    if (!plugin)
+      return this.emit(
+        "log",
+        `${COLORS.err}Unknown game ${name}. Try: ${Object.keys(GAMES).join(
+          ", "
+        )}${COLORS.reset}`
+      );
+    const peerId = rematch ? rematch.peerId : this.activeTarget;
+    const t = this.conns.get(peerId);
+    if (!t)
+      return this.emit(
+        "log",
+        `${COLORS.err}You must be in a DM to play.${COLORS.reset}`
+      );
+    if (!this._requireCap(peerId, "games", "games")) return;
+    // Rematches swap seats so the first move alternates.
+    const [first, second] = plugin.players;
+    const role = rematch?.role === first ? second : first;
+    const g = {
+      id: uuidv4(),
+      type,
+      peerId,
+      peerName: t.meta.name,
+      role,
+      authority: true,
+      seq: 0,
+      spectators: new Set(),
+      salt: crypto.randomBytes(16).toString("hex"),
+      theirCommit: null,
+      // A second seat that needs the first seat's setup waits for it.
+      state:
+        role === first || !plugin.setup
+          ? plugin.create(role, undefined, rest.join(" "))
+          : null,
+      status: "inviting",
+    };
+    this.games.set(g.id, g);
+    this._send(t.ws, "game-invite", {
+      gameId: g.id,
+      game: type,
+      role: other(plugin.players, role),
+      setup: g.state ? this._gameSetup(g) : undefined,
+      fromId: this.identity.id,
+      name: this.identity.username,
+    });
+    this.emit(
+      "log",
+      `Invited ${t.meta.name} to ${rematch ? "a rematch of " : ""}${
+        plugin.title
+      } [${shortId(g.id)}].`
+    );
+  }
+
+  _onGameInvite(payload, peerId) {
+    const plugin = Object.hasOwn(GAMES, payload.game) && GAMES[payload.game];
+    if (!plugin || !payload.gameId || this.games.has(payload.gameId)) return;
+    if (this.isMuted(peerId)) return;
+    const role = plugin.players.includes(payload.role)
+      ? payload.role
+      : plugin.players[1];
+    // A second seat is built from the first seat's setup.
+    const needsSetup = role !== plugin.players[0] && plugin.setup;
+    if (needsSetup && plugin.checkSetup?.(payload.setup) === false)
+      return this._sendError(
+        this.conns.get(peerId).ws,
+        "invalid",
+        `Unplayable ${plugin.title} setup`,
+        "game-invite"
+      );
+    if (CONFIG.QUIET)
+      return this._sendError(
+        this.conns.get(peerId).ws,
+        "declined",
+        "Not taking game invites right now",
+        "game-invite"
+      );
+    this.games.set(payload.gameId, {
+      id: payload.gameId,
+      type: payload.game,
+      peerId,
+      peerName: payload.name,
+      role,
+      authority: false,
+      seq: 0,
+      spectators: new Set(),
+      setup: payload.setup,
+      salt: crypto.randomBytes(16).toString("hex"),
+      theirCommit: commitmentIn(payload.setup),
+      state: null,
+      status: "invited",
+    });
+    this.emit(
+      "log",
+      `${COLORS.dm}INVITE: ${payload.name} wants to play ${
+        plugin.title
+      }! Type /accept ${shortId(payload.gameId)}${COLORS.reset}`
+    );
+  }
+
+  _accept(ref) {
+    const invites = [...this.games.values()].filter(
+      (g) => g.status === "invited" && (!ref || g.id.startsWith(ref))
+    );
+    const g = invites[invites.length - 1];
+    if (!g)
+      return this.emit(
+        "log",
+        `${COLORS.err}No pending game invites.${COLORS.reset}`
+      );
+    const t = this.conns.get(g.peerId);
+    if (!t)
+      return this.emit(
+        "log",
+        `${COLORS.err}${g.peerName} is no longer connected.${COLORS.reset}`
+      );
+    // Whoever sits first sets the game up; here that may be us.
+    const plugin = GAMES[g.type];
+    g.state = plugin.create(g.role, g.setup);
+    g.status = "active";
+    this.activeGame = g.id;
+    this.setTarget(g.peerId);
+    this._send(t.ws, "game-start", { gameId: g.id, setup: this._gameSetup(g) });
+    this.emit("game_update");
+    this.emit("log", "Game accepted.");
+  }
+
+  _onGameStart(payload, peerId) {
+    const g = this.games.get(payload.gameId);
+    if (!g || g.peerId !== peerId || g.status !== "inviting") return;
+    const plugin = GAMES[g.type];
+    if (!g.state && plugin.checkSetup?.(payload.setup) === false) {
+      this.games.delete(g.id);
+      this._sendError(
+        this.conns.get(peerId).ws,
+        "invalid",
+        `Unplayable ${plugin.title} setup`,
+        "game-start"
+      );
+      return this.emit(
+        "log",
+        `${COLORS.err}${g.peerName} started ${plugin.title} with an unplayable setup.${COLORS.reset}`
+      );
+    }
+    if (!g.state) g.state = plugin.create(g.role, payload.setup);
+    g.theirCommit ||= commitmentIn(payload.setup);
+    g.status = "active";
+    this.activeGame = g.id;
+    this.emit("game_update");
+    this.emit(
+      "log",
+      `${COLORS.dm}${plugin.title} started! You are ${g.role}${COLORS.reset}`
+    );
+  }
+
+  // Public setup for our seat, plus a commitment to anything we hide.
+  _gameSetup(g) {
+    const plugin = GAMES[g.type];
+    const setup =
+      g.role === plugin.players[0] ? plugin.setup?.(g.state) : undefined;
+    const secret = plugin.secret?.(g.state);
+    if (secret === undefined) return setup;
+    return { ...setup, commit: commitSecret(g.salt, secret) };
+  }
+
+  // The focused game, unless the open DM has a game of its own.
+  _gameFor(ref) {
+    const games = [...this.games.values()];
+    if (ref) return games.find((g) => g.id.startsWith(ref));
+    const focused = this.games.get(this.activeGame);
+    if (focused?.peerId === this.activeTarget) return focused;
+    return (
+      games
+        .reverse()
+        .find((g) => g.status === "active" && g.peerId === this.activeTarget) ||
+      focused
+    );
+  }
+
+  _gameHash(g) {
+    return crypto
+      .createHash("sha256")
+      .update(JSON.stringify(GAMES[g.type].view(g.state)))
+      .digest("hex")
+      .slice(0, 16);
+  }
+
+  _sendGameMove(g, move) {
+    g.seq++;
+    const c = this.conns.get(g.peerId);
+    if (c)
+      this._send(c.ws, "game-move", {
+        gameId: g.id,
+        seq: g.seq,
+        hash: this._gameHash(g),
+        move,
+      });
+  }
+
+  _makeMove(args, g = this._gameFor()) {
+    if (!g || g.status !== "active")
+      return this.emit(
+        "log",
+        `${COLORS.err}No game in progress. Start one with /play.${COLORS.reset}`
+      );
+    const plugin = GAMES[g.type];
+    if (!this.conns.has(g.peerId))
+      return this.emit(
+        "log",
+        `${COLORS.err}${g.peerName} is not connected.${COLORS.reset}`
+      );
+    if (plugin.turn(g.state) !== g.role)
+      return this.emit(
+        "log",
+        `${COLORS.err}Not your turn in ${plugin.title}.${COLORS.reset}`
+      );
+    const move = plugin.parseMove(args);
+    if (typeof move === "string")
+      return this.emit("log", `${COLORS.err}${move}${COLORS.reset}`);
+    if (!plugin.apply(g.state, move, g.role))
+      return this.emit("log", `${COLORS.err}Illegal move.${COLORS.reset}`);
+    this.activeGame = g.id;
+    this._sendGameMove(g, move);
+    this._gameChanged(g);
+  }
+
+  _onGameMove(payload, peerId) {
+    const g = this.games.get(payload.gameId);
+    if (!g || g.peerId !== peerId || g.status !== "active") return;
+    const plugin = GAMES[g.type];
+    const them = other(plugin.players, g.role);
+    if (
+      payload.seq !== g.seq + 1 ||
+      !plugin.apply(g.state, payload.move || {}, them)
+    ) {
+      this.emit(
+        "log",
+        `${COLORS.err}Rejected an illegal or out-of-order move from ${g.peerName} in ${plugin.title}.${COLORS.reset}`
+      );
+      return this._resyncGame(g);
+    }
+    g.seq++;
+    if (payload.hash !== this._gameHash(g)) {
+      this.emit(
+        "log",
+        `${COLORS.err}${plugin.title} with ${g.peerName} went out of sync. Resyncing.${COLORS.reset}`
+      );
+      return this._resyncGame(g);
+    }
+    const answer = plugin.reply?.(g.state, payload.move);
+    if (answer && plugin.apply(g.state, answer, g.role))
+      this._sendGameMove(g, answer);
+    this._gameChanged(g);
+  }
+
+  _resyncGame(g) {
+    const c = this.conns.get(g.peerId);
+    if (!c) return;
+    if (!g.authority) {
+      g.syncPending = true;
+      return this._send(c.ws, "game-sync", { gameId: g.id });
+    }
+    this._send(c.ws, "game-state", {
+      gameId: g.id,
+      seq: g.seq,
+      view: GAMES[g.type].view(g.state),
+    });
+  }
+
+  _onGameSync(payload, peerId) {
+    const g = this.games.get(payload.gameId);
+    if (g?.authority && g.peerId === peerId && g.state) this._resyncGame(g);
+  }
+
+  // Only the answer to our own game-sync is taken, and only while the game
+  // is still on; a finished game stays finished.
+  _onGameState(payload, peerId) {
+    const g = this.games.get(payload.gameId);
+    if (!g || g.authority || g.peerId !== peerId || !g.state) return;
+    if (!g.syncPending || g.status !== "active") return;
+    g.syncPending = false;
+    const plugin = GAMES[g.type];
+    if (payload.seq < g.seq || !plugin.checkView(payload.view, g.state))
+      return this.emit(
+        "log",
+        `${COLORS.err}Rejected a bad ${plugin.title} state from ${g.peerName}.${COLORS.reset}`
+      );
+    plugin.restore(g.state, payload.view);
+    g.seq = payload.seq;
+    this.emit(
+      "log",
+      `${COLORS.sys}${plugin.title} resynced from ${g.peerName}.${COLORS.reset}`
+    );
+    this._gameChanged(g);
+  }
+
+  _gameChanged(g) {
+    this._checkWin(g);
+    this.emit("game_update");
+    this._pushGameView(g);
+  }
+
+  _checkWin(g) {
+    if (g.status !== "active") return;
+    const w = GAMES[g.type].winner(g.state);
+    if (!w) return;
+    g.status = "over";
+    const score = (this.scores[g.peerId] ||= { win: 0, loss: 0, draw: 0 });
+    score.name = g.peerName;
+    g.result = w === "DRAW" ? "draw" : w === g.role ? "win" : "loss";
+    score[g.result]++;
+    saveJSON(this.files.SCORES_FILE, this.scores);
+    const result =
+      w === "DRAW"
+        ? "Draw!"
+        : w === g.role
+        ? "You win!"
+        : `${g.peerName} wins!`;
+    this.emit(
+      "log",
+      `${COLORS.dm}GAME OVER (${GAMES[g.type].title} vs ${
+        g.peerName
+      }): ${result} Type /rematch to play again.${COLORS.reset}`
+    );
+    this._revealSecret(g);
+    if (g.theirCommit)
+      setTimeout(() => {
+        if (g.verified) return;
+        g.verified = true;
+        this.emit(
+          "log",
+          `${COLORS.err}${g.peerName} never revealed their side of ${
+            GAMES[g.type].title
+          }; their answers could not be checked.${COLORS.reset}`
+        );
+      }, REVEAL_WAIT).unref();
+  }
+
+  // Once a game is over each seat shows what it hid, so the other side can
+  // check every answer it was given.
+  _revealSecret(g) {
+    const secret = GAMES[g.type].secret?.(g.state);
+    const c = this.conns.get(g.peerId);
+    if (secret === undefined || g.revealed || !c) return;
+    if (!this._peerCan(g.peerId, "reveal")) return;
+    g.revealed = true;
+    this._send(c.ws, "game-reveal", { gameId: g.id, salt: g.salt, secret });
+  }
+
+  // A secret that fails its commitment or contradicts an earlier answer
+  // turns the game into a win for us.
+  _onGameReveal(payload, peerId) {
+    const g = this.games.get(payload.gameId);
+    if (!g || g.peerId !== peerId || g.status !== "over" || g.verified) return;
+    g.verified = true;
+    const plugin = GAMES[g.type];
+    const problem = !g.theirCommit
+      ? "they never committed to a secret"
+      : commitSecret(payload.salt, payload.secret) !== g.theirCommit
+      ? "what they revealed is not what they committed to"
+      : plugin.verify(g.state, payload.secret);
+    if (!problem)
+      return this.emit(
+        "log",
+        `${COLORS.sys}${g.peerName}'s answers in ${plugin.title} check out.${COLORS.reset}`
+      );
+    this.emit(
+      "log",
+      `${COLORS.err}${g.peerName} cheated at ${plugin.title}: ${problem}.${COLORS.reset}`
+    );
+    if (g.result === "win") return;
+    const score = this.scores[g.peerId];
+    score[g.result]--;
+    score.win++;
+    g.result = "win";
+    saveJSON(this.files.SCORES_FILE, this.scores);
+  }
 
-          case "shell-out":
-            this.emit(
-              "log",
-              `${COLORS.cmd}[REMOTE OUTPUT]:${COLORS.reset}\n${payload.output}`
-            );
-            break;
+  _rematch(ref) {
+    const g = ref
+      ? this._gameFor(ref)
+      : [...this.games.values()]
+          .reverse()
+          .find((x) => x.status === "over" && x.peerId === this.activeTarget) ||
+        this.games.get(this.activeGame);
+    if (g?.status !== "over")
+      return this.emit(
+        "log",
+        `${COLORS.err}No finished game to rematch.${COLORS.reset}`
+      );
+    this._invite(g.type, g);
+  }
 
-          // --- UPDATED FILE HANDLING START ---
-          case "file-offer":
-            const isPm = payload.isPm !== false;
-            const prefix = isPm
-              ? `${COLORS.dm}[DM ${payload.fromName}]`
-              : `${COLORS.gen}[#Gen ${payload.fromName}]`;
+  _listScores() {
+    const rows = Object.values(this.scores);
+    if (rows.length === 0)
+      return this.emit(
+        "log",
+        `${COLORS.sys}No games played yet.${COLORS.reset}`
+      );
+    this.emit("log", `${COLORS.sys}Scores (W-L-D):${COLORS.reset}`);
+    rows
+      .sort((a, b) => b.win - b.loss - (a.win - a.loss))
+      .forEach((s) =>
+        this.emit("log", `  ${s.name}  ${s.win}-${s.loss}-${s.draw}`)
+      );
+  }
 
-            this.emit(
-              "log",
-              `${prefix} ${COLORS.file}Receiving: ${payload.filename} (${(
-                payload.size / 1024
-              ).toFixed(1)}kb)${COLORS.reset}`
-            );
+  // --- SPECTATORS ---
+  _spectate(ref) {
+    const peer = this._resolvePeer(ref);
+    const c = peer && this.conns.get(peer.id);
+    if (!c)
+      return this.emit(
+        "log",
+        `${COLORS.err}You can only watch a connected peer.${COLORS.reset}`
+      );
+    if (!this._requireCap(peer.id, "spectate", "spectating")) return;
+    this.watching.set(peer.id, null);
+    this._send(c.ws, "game-spectate", {});
+    this.emit(
+      "log",
+      `${COLORS.sys}Asking to watch ${peer.name}'s game...${COLORS.reset}`
+    );
+  }
 
-            const fpath = path.join(
-              CONFIG.DIR_RECEIVE,
-              `${Date.now()}_${payload.filename}`
-            );
-            this.transfers.set(payload.fileId, {
-              stream: fs.createWriteStream(fpath),
-              path: fpath,
-              fromName: payload.fromName,
-            });
-            break;
+  _onSpectate(peerId) {
+    const c = this.conns.get(peerId);
+    const live = [...this.games.values()].filter(
+      (g) => g.status === "active" && g.peerId !== peerId
+    );
+    const g = live.find((x) => x.id === this.activeGame) || live.pop();
+    if (!g) return this._send(c.ws, "game-view", { none: true });
+    g.spectators.add(peerId);
+    this.emit(
+      "log",
+      `${COLORS.sys}${c.meta.name} is watching your ${
+        GAMES[g.type].title
+      } with ${g.peerName}.${COLORS.reset}`
+    );
+    this._pushGameView(g, [peerId]);
+  }
 
-          case "file-end":
-            const t = this.transfers.get(payload.fileId);
-            if (t) {
-              t.stream.end();
-              this.emit(
-                "log",
-                `${COLORS.me}File Saved from ${t.fromName}: ${path.basename(
-                  t.path
-                )}${COLORS.reset}`
-              );
-              this.transfers.delete(payload.fileId);
-            }
-            break;
-          // --- UPDATED FILE HANDLING END ---
+  // Spectators only ever get the public view, never a fleet or a word.
+  _pushGameView(g, to = [...g.spectators]) {
+    const plugin = GAMES[g.type];
+    const names = {
+      [g.role]: this.identity.username,
+      [other(plugin.players, g.role)]: g.peerName,
+    };
+    const w = plugin.winner(g.state);
+    const turn = plugin.turn(g.state);
+    const status = w
+      ? w === "DRAW"
+        ? "Draw."
+        : `${names[w]} won.`
+      : turn
+      ? `${names[turn]}'s turn`
+      : "Waiting for an answer...";
+    to.forEach((id) => {
+      const c = this.conns.get(id);
+      if (!c) return g.spectators.delete(id);
+      this._send(c.ws, "game-view", {
+        gameId: g.id,
+        game: g.type,
+        names,
+        view: plugin.view(g.state),
+        status,
+      });
+    });
+  }
 
-          case "game-invite":
-            this.emit(
-              "log",
-              `${COLORS.dm}INVITE: ${payload.name} wants to play! Type /accept${COLORS.reset}`
-            );
-            this.activeTarget = payload.fromId;
-            this.emit("target_changed", this.activeTarget);
-            break;
-          case "game-start":
-            this.game.start(payload.role || "X");
-            this.emit("game_update");
-            this.emit(
-              "log",
-              `${COLORS.dm}Game Started! You are ${payload.role || "X"}${
-                COLORS.reset
-              }`
-            );
-            break;
-          case "game-move":
-            this.game.move(payload.idx, payload.role);
-            this.emit("game_update");
-            this._checkWin();
-            break;
-        }
-      } catch (e) {}
+  // Views are only taken from a peer we asked with /spectate, and only
+  // for the one game they first showed us.
+  _onGameView(payload, peerId) {
+    if (!this.watching.has(peerId)) return;
+    const watched = this.watching.get(peerId);
+    const name = this.conns.get(peerId).meta.name;
+    if (payload.none) {
+      if (watched) return;
+      this.watching.delete(peerId);
+      return this.emit(
+        "log",
+        `${COLORS.sys}${name} is not playing right now.${COLORS.reset}`
+      );
+    }
+    const plugin = Object.hasOwn(GAMES, payload.game) && GAMES[payload.game];
+    const prev = this.games.get(payload.gameId);
+    if (!plugin || !plugin.checkView(payload.view)) return;
+    if (prev && prev.status !== "watching") return;
+    if (watched && watched !== payload.gameId) return;
+    this.watching.set(peerId, payload.gameId);
+    this.games.set(payload.gameId, {
+      id: payload.gameId,
+      type: payload.game,
+      peerId,
+      peerName: Object.values(payload.names || {}).join(" vs "),
+      status: "watching",
+      view: payload.view,
+      watchStatus: payload.status,
     });
+    if (!prev) this.activeGame = payload.gameId;
+    this.emit("game_update");
+  }
 
-    ws.on("close", (code, reason) => {
-      if (peerId && this.conns.has(peerId)) {
-        this.emit(
-          "log",
-          `${COLORS.err}${this.conns.get(peerId).meta.name} Disconnected.${
-            COLORS.reset
-          }`
+  _listGames() {
+    if (this.games.size === 0)
+      return this.emit("log", `${COLORS.sys}No games.${COLORS.reset}`);
+    this.emit("log", `${COLORS.sys}Games:${COLORS.reset}`);
+    this.games.forEach((g) =>
+      this.emit(
+        "log",
+        `  ${g.id === this.activeGame ? "*" : " "}${shortId(g.id)}  ${
+          this.describeGame(g).title
+        }  ${this.describeGame(g).status}`
+      )
+    );
+  }
+
+  _focusGame(ref) {
+    const g = this._gameFor(ref);
+    if (!g)
+      return this.emit(
+        "log",
+        `${COLORS.err}No game matches '${ref}'. See /games.${COLORS.reset}`
+      );
+    this.activeGame = g.id;
+    this.emit("game_update");
+  }
+
+  // What the game panel shows for a game: { title, lines, status }.
+  describeGame(g) {
+    if (!g) return { title: "Game", lines: [], status: "/play <game> in a DM" };
+    const plugin = GAMES[g.type];
+    if (g.status === "watching")
+      return {
+        title: `${plugin.title}: ${g.peerName}`,
+        lines: plugin.watch(g.view),
+        status: `Watching. ${g.watchStatus}`,
+      };
+    const title = `${plugin.title} vs ${g.peerName}`;
+    if (g.status === "invited")
+      return { title, lines: [], status: `/accept ${shortId(g.id)} to play` };
+    if (g.status === "inviting")
+      return { title, lines: [], status: `Waiting for ${g.peerName}...` };
+    const w = plugin.winner(g.state);
+    const turn = plugin.turn(g.state);
+    const status = w
+      ? w === "DRAW"
+        ? "Draw."
+        : w === g.role
+        ? "You won."
+        : `${g.peerName} won.`
+      : turn === g.role
+      ? `Your turn: ${plugin.help}`
+      : turn
+      ? `${g.peerName}'s turn`
+      : "Waiting for an answer...";
+    return {
+      title,
+      lines: plugin.render(g.state),
+      cells: plugin.cells?.(g.state),
+      status,
+    };
+  }
+
+  // A click on a cell of the game panel: /move in the game it shows.
+  clickCell(move) {
+    this._makeMove(move, this.games.get(this.activeGame));
+  }
+}
+
+// --- CONTROL API ---
+// `lan-os --daemon` runs a node without the TUI and serves this API on
+// 127.0.0.1. The port and a bearer token go to CONTROL_FILE (mode 600), which
+// is how the `lan-os <command>` CLI below finds the daemon.
+const CONTROL_EVENTS = [
+  "log",
+  "chat",
+  "chat_status",
+  "conns_update",
+  "peers_update",
+  "rooms_update",
+  "presence_update",
+  "security_alert",
+];
+
+// Drops tags, keeping the braces blessed.escape() stood in for.
+const plain = (s) =>
+  String(s).replace(/\{\/?[\w-]*\}/g, (tag) =>
+    tag === "{open}" ? "{" : tag === "{close}" ? "}" : ""
+  );
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let raw = "";
+    req.on("data", (d) => {
+      raw += d;
+      if (raw.length > 64 * 1024) req.destroy(new Error("Body too large"));
+    });
+    req.on("end", () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (e) {
+        reject(new Error("Body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+
+const startControlServer = (node) => {
+  const token = crypto.randomBytes(16).toString("hex");
+
+  const resolveTarget = (to) => {
+    if (!to || to === "general" || to === "#general") return "general";
+    if (String(to).startsWith("#")) {
+      const room = roomName(to);
+      if (!room) throw new Error(`Bad room name ${to}`);
+      return room;
+    }
+    const peer = node._resolvePeer(to);
+    if (!peer) throw new Error(`Unknown peer ${to}`);
+    return peer.id;
+  };
+
+  // Runs fn as if typed into `to`'s conversation, and returns what the node
+  // logged while handling it.
+  const run = (to, fn) => {
+    const target = resolveTarget(to);
+    const lines = [];
+    const capture = (m) => lines.push(plain(m));
+    const prev = node.activeTarget;
+    node.on("log", capture);
+    try {
+      node.activeTarget = target;
+      fn();
+    } finally {
+      node.activeTarget = prev;
+      node.off("log", capture);
+    }
+    return { ok: true, log: lines };
+  };
+
+  const routes = {
+    "GET /peers": () =>
+      [...node.peers.values()].map(({ id, name, address, port, via }) => ({
+        id,
+        name,
+        address,
+        port,
+        via,
+      })),
+    "GET /conns": () =>
+      [...node.conns.values()].map((c) => ({
+        id: c.meta.fromId,
+        name: c.meta.name,
+        address: c.address,
+        verified: !!node.knownPeers[c.meta.fromId]?.verified,
+        presence: c.presence,
+      })),
+    "GET /transfers": () =>
+      node.transfers
+        .list()
+        .map(({ fileId, direction, peerName, name, size, done, state }) => ({
+          fileId,
+          direction,
+          peerName,
+          name,
+          size,
+          done,
+          state,
+        })),
+    "POST /message": ({ to, text }) => {
+      if (!text) throw new Error("text is required");
+      return run(to, () => node.sendChat(text));
+    },
+    // The daemon's working directory means nothing to the caller, so the
+    // path must already be absolute.
+    "POST /file": ({ to, path: file }) => {
+      if (!file) throw new Error("path is required");
+      if (!path.isAbsolute(file)) throw new Error("path must be absolute");
+      return run(to, () => node._sendFile(file));
+    },
+    "POST /command": ({ to, text }) => run(to, () => node.processInput(text)),
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const reply = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+    if (req.headers.authorization !== `Bearer ${token}`)
+      return reply(401, { error: "Bad token" });
+
+    if (req.method === "GET" && req.url === "/events") {
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+      });
+      const listeners = CONTROL_EVENTS.map((event) => {
+        const fn = (data) =>
+          res.write(
+            `event: ${event}\ndata: ${JSON.stringify(
+              event === "log"
+                ? { text: plain(data) }
+                : event === "chat"
+                ? { ...data, convoName: node._convoName(data.convo) }
+                : data ?? null
+            )}\n\n`
+          );
+        node.on(event, fn);
+        return [event, fn];
+      });
+      return req.on("close", () =>
+        listeners.forEach(([event, fn]) => node.off(event, fn))
+      );
+    }
+
+    const route = routes[`${req.method} ${req.url}`];
+    if (!route) return reply(404, { error: "No such endpoint" });
+    try {
+      reply(200, await route(await readBody(req)));
+    } catch (e) {
+      reply(400, { error: e.message });
+    }
+  });
+
+  server.listen(0, "127.0.0.1", () => {
+    fs.writeFileSync(
+      CONFIG.CONTROL_FILE,
+      JSON.stringify({ port: server.address().port, token, pid: process.pid }),
+      { mode: 0o600 }
+    );
+    node.emit(
+      "log",
+      `${COLORS.sys}Control API on 127.0.0.1:${server.address().port}${
+        COLORS.reset
+      }`
+    );
+  });
+  return server;
+};
+
+const controlRequest = (method, route, body) =>
+  new Promise((resolve, reject) => {
+    const ctl = loadJSON(CONFIG.CONTROL_FILE, null);
+    if (!ctl)
+      return reject(
+        new Error("No daemon running here. Start one with: lan-os --daemon")
+      );
+    const req = http.request(
+      {
+        host: "127.0.0.1",
+        port: ctl.port,
+        method,
+        path: route,
+        headers: {
+          Authorization: `Bearer ${ctl.token}`,
+          "Content-Type": "application/json",
+        },
+      },
+      (res) => {
+        if (route === "/events") return resolve(res);
+        let raw = "";
+        res.on("data", (d) => (raw += d));
+        res.on("end", () => {
+          let data;
+          try {
+            data = JSON.parse(raw || "null");
+          } catch (e) {
+            return reject(new Error(`Bad reply from the daemon: ${raw}`));
+          }
+          if (res.statusCode !== 200) reject(new Error(data?.error || raw));
+          else resolve(data);
+        });
+      }
+    );
+    req.on("error", (e) =>
+      reject(
+        new Error(
+          e.code === "ECONNREFUSED"
+            ? "The daemon is not running. Start one with: lan-os --daemon"
+            : e.message
+        )
+      )
+    );
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+
+const CLI_USAGE = [
+  "Usage: lan-os [--daemon | --web] [--name <name>] [--profile <name>]",
+  "              [--<option> <value> ...]",
+  "       lan-os peers | conns | transfers | events",
+  "       lan-os msg <@user|#room|general> <text>",
+  "       lan-os send <@user|#room|general> <path>",
+  "       lan-os cmd <@user|#room|general> </command ...>",
+  "       lan-os config [<option> [<value>]]",
+  "       lan-os profiles",
+  "       lan-os simulate [script.js]",
+  "",
+  "Options (also LANOS_<OPTION> in the environment):",
+  ...Object.entries(OPTIONS).map(
+    ([name, opt]) => `  --${name.padEnd(24)}${opt.help}`
+  ),
+];
+
+// Settings are per profile and need no daemon, so these run locally.
+const runLocal = (cmd, [name, ...value]) => {
+  if (cmd === "profiles") {
+    const dir = path.dirname(CONFIG.PROFILE_DIR);
+    if (!fs.existsSync(dir)) return;
+    return fs
+      .readdirSync(dir)
+      .sort()
+      .forEach((p) => {
+        const id = readConfigFile(path.join(dir, p, "lan-identity.json"));
+        console.log(
+          `${p === CONFIG.PROFILE ? "*" : " "} ${p}\t${id.username || "-"}`
         );
-        this.conns.delete(peerId);
-        this.emit("conns_update");
+      });
+  }
+  if (!name) {
+    console.log(`Profile ${CONFIG.PROFILE}, saved in ${CONFIG.CONFIG_FILE}`);
+    return describeOptions().forEach((l) => console.log(l));
+  }
+  if (!OPTIONS[name]) throw new Error(`Unknown option ${name}`);
+  if (value.length) setOption(name, parseOption(name, value.join(" ")));
+  console.log(`${name} = ${CONFIG[OPTIONS[name].key]}`);
+};
 
-        if (this.activeTarget === peerId) {
-          this.activeTarget = "general";
-          this.emit("target_changed", "general");
-          this.emit("log", `${COLORS.err}Switched to #General.${COLORS.reset}`);
-        }
+const runCli = async ([cmd, to, ...rest]) => {
+  const printLog = (r) => r.log.forEach((l) => console.log(l));
+  switch (cmd) {
+    case "simulate":
+      return runSimulation(to);
+    case "config":
+    case "profiles":
+      return runLocal(
+        cmd,
+        [to, ...rest].filter((a) => a !== undefined)
+      );
+    case "peers":
+      return (await controlRequest("GET", "/peers")).forEach((p) =>
+        console.log(`${p.name}\t${shortId(p.id)}\t${p.address}:${p.port}`)
+      );
+    case "conns":
+      return (await controlRequest("GET", "/conns")).forEach((c) =>
+        console.log(
+          `${c.name}\t${shortId(c.id)}\t${c.address || "-"}${
+            c.verified ? "\tverified" : ""
+          }${c.presence ? `\t${c.presence.state} ${c.presence.text}` : ""}`
+        )
+      );
+    case "transfers":
+      return (await controlRequest("GET", "/transfers")).forEach((t) =>
+        console.log(
+          `${shortId(t.fileId)}\t${t.direction}\t${t.name}\t${t.state}\t${kb(
+            t.done
+          )}/${kb(t.size)}`
+        )
+      );
+    case "events": {
+      const res = await controlRequest("GET", "/events");
+      let buf = "";
+      return res.on("data", (d) => {
+        const blocks = (buf + d).split("\n\n");
+        buf = blocks.pop();
+        blocks.forEach((block) => {
+          const [, event, data] = /^event: (.*)\ndata: (.*)$/s.exec(block);
+          const payload = JSON.parse(data);
+          console.log(
+            event === "log"
+              ? payload.text
+              : event === "chat"
+              ? `[${payload.convoName}] ${payload.name}: ${payload.text}`
+              : `(${event})`
+          );
+        });
+      });
+    }
+    case "msg":
+      return printLog(
+        await controlRequest("POST", "/message", { to, text: rest.join(" ") })
+      );
+    case "send":
+      return printLog(
+        await controlRequest("POST", "/file", {
+          to,
+          path: path.resolve(rest.join(" ")),
+        })
+      );
+    case "cmd":
+      return printLog(
+        await controlRequest("POST", "/command", { to, text: rest.join(" ") })
+      );
+    default:
+      CLI_USAGE.forEach((l) => console.log(l));
+      process.exitCode = 1;
+  }
+};
+
+const runDaemon = (identity, { web = false } = {}) => {
+  const node = new NetworkNode(identity);
+  node.on("log", (m) => console.log(plain(m)));
+  node.on("chat", (m) =>
+    console.log(`[${node._convoName(m.convo)}] ${m.name}: ${m.text}`)
+  );
+  if (web) {
+    node.web = startWebUi(node);
+    node.on("ready", (port) => console.log(`Web UI: ${node.web.url(port)}`));
+  }
+  node.start();
+  startControlServer(node);
+  const stop = () => {
+    if (loadJSON(CONFIG.CONTROL_FILE, {}).pid === process.pid)
+      fs.rmSync(CONFIG.CONTROL_FILE, { force: true });
+    process.exit(0);
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+};
+
+// --- SIMULATOR ---
+// Runs many nodes in one process over a MemoryNetwork, each with its own
+// state folder, so pairing, chat, transfers and games can be scripted and
+// checked without a LAN. `lan-os simulate [script.js]` runs the built-in
+// scenario, or a script whose default export is `async (sim) => {}`.
+class Simulator {
+  constructor(conditions) {
+    this.network = new MemoryNetwork(conditions);
+    this.root = fs.mkdtempSync(path.join(os.tmpdir(), "lan-os-sim-"));
+    this.nodes = [];
+    this.verbose = false; // print every node's log as it happens
+  }
+
+  // Starts a node on the next free address and resolves once it listens.
+  // Its log lines are kept in node.logs, without color tags.
+  spawn(name, { port = CONFIG.PORT } = {}) {
+    const address = `10.0.0.${this.nodes.length + 1}`;
+    const dir = path.join(this.root, name);
+    fs.mkdirSync(dir, { recursive: true });
+    const node = new NetworkNode(
+      { id: uuidv4(), username: name },
+      generateKeys(),
+      {
+        transport: new MemoryTransport(this.network, address),
+        discovery: new MemoryDiscovery(this.network, address),
+        files: stateFiles(dir),
+      }
+    );
+    node.address = address;
+    node.port = port;
+    node.logs = [];
+    node.on("log", (m) => {
+      node.logs.push(plain(m));
+      if (this.verbose) console.log(`[${name}] ${plain(m)}`);
+    });
+    this.nodes.push(node);
+    const ready = new Promise((resolve) => node.once("ready", resolve));
+    node.start();
+    return ready.then(() => node);
+  }
+
+  // Conditions for the link between two nodes; see MemoryNetwork.
+  setLink(a, b, conditions) {
+    this.network.setConditions(a.address, b.address, conditions);
+  }
+
+  // Resets every socket between two nodes, as a dropped connection would.
+  disconnect(a, b) {
+    this.network.disconnect(a.address, b.address);
+  }
+
+  // Each argument is a list of nodes that can still reach each other.
+  partition(...groups) {
+    this.network.partition(...groups.map((g) => g.map((n) => n.address)));
+  }
+
+  heal() {
+    this.network.heal();
+  }
+
+  // Polls check() until it returns something truthy.
+  waitFor(check, { timeout = 10000, what = "condition" } = {}) {
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+      const poll = () => {
+        const result = check();
+        if (result) return resolve(result);
+        if (Date.now() - started > timeout)
+          return reject(new Error(`Timed out waiting for ${what}`));
+        setTimeout(poll, 20);
+      };
+      poll();
+    });
+  }
+
+  // Resolves with the first log line of `node` that matches, including
+  // lines logged before the call.
+  waitForLog(node, pattern, options) {
+    return this.waitFor(() => node.logs.find((l) => pattern.test(l)), {
+      what: `${node.identity.username} to log ${pattern}`,
+      ...options,
+    });
+  }
+
+  linked(a, b) {
+    return a.conns.has(b.identity.id) && b.conns.has(a.identity.id);
+  }
+
+  stop() {
+    this.nodes.forEach((n) => n.stop());
+    fs.rmSync(this.root, { recursive: true, force: true });
+  }
+}
+
+// The built-in scenario: discovery, pairing, group chat, a DM queued
+// across a dropped link, a file over a slow lossless link, a partition
+// and a game.
+const SIM_SCENARIO = async (sim, step) => {
+  const [alice, bob, carol] = await Promise.all(
+    ["alice", "bob", "carol"].map((n) => sim.spawn(n))
+  );
+
+  await step("nodes discover each other", () =>
+    sim.waitFor(() => [alice, bob, carol].every((n) => n.peers.size === 2), {
+      what: "discovery",
+    })
+  );
+
+  await step("nodes pair", async () => {
+    alice.connect(bob.identity.id);
+    alice.connect(carol.identity.id);
+    bob.connect(carol.identity.id);
+    await sim.waitFor(
+      () =>
+        sim.linked(alice, bob) &&
+        sim.linked(alice, carol) &&
+        sim.linked(bob, carol),
+      { what: "pairing" }
+    );
+  });
+
+  await step("group chat reaches everyone", async () => {
+    const got = [];
+    [bob, carol].forEach((n) =>
+      n.once("chat", (m) => got.push(`${n.identity.username}:${m.text}`))
+    );
+    alice.sendChat("hello all");
+    await sim.waitFor(() => got.length === 2, { what: "chat" });
+  });
+
+  await step(
+    "a DM sent while the link is down arrives on reconnect",
+    async () => {
+      sim.disconnect(alice, bob);
+      await sim.waitFor(() => !alice.conns.has(bob.identity.id), {
+        what: "the link to drop",
+      });
+      let got = null;
+      bob.on("chat", (m) => m.text === "are you there?" && (got = m));
+      alice.setTarget(bob.identity.id);
+      alice.sendChat("are you there?");
+      await sim.waitFor(() => got, { what: "the queued DM", timeout: 20000 });
+    }
+  );
+
+  await step("a file crosses a slow link intact", async () => {
+    sim.setLink(alice, carol, { latency: 30, bandwidth: 256 * 1024 });
+    const file = path.join(sim.root, "sample.bin");
+    fs.writeFileSync(file, crypto.randomBytes(200 * 1024));
+    alice.setTarget(carol.identity.id);
+    alice.processInput(`/send ${file}`);
+    await sim.waitForLog(carol, /Offers: sample\.bin/);
+    carol.processInput("/acceptfile");
+    await sim.waitForLog(alice, /carol received sample\.bin \(checksum OK\)/);
+  });
+
+  await step("a partition is noticed and heals", async () => {
+    sim.partition([alice, bob], [carol]);
+    await sim.waitFor(
+      () =>
+        !alice.conns.has(carol.identity.id) &&
+        !alice.peers.has(carol.identity.id),
+      { what: "carol to drop off" }
+    );
+    sim.heal();
+    await sim.waitFor(
+      () => sim.linked(alice, carol) && sim.linked(bob, carol),
+      {
+        what: "carol to reconnect",
+        timeout: 20000,
       }
+    );
+  });
+
+  await step("a game of tic-tac-toe is played out", async () => {
+    const gameOf = (n) =>
+      [...n.games.values()].find((g) => g.type === "tictactoe");
+    const myTurn = (n) => {
+      const g = gameOf(n);
+      return g?.status === "active" && TicTacToe.turn(g.state) === g.role;
+    };
+    bob.setTarget(carol.identity.id);
+    bob.processInput("/play tictactoe");
+    await sim.waitForLog(carol, /INVITE: bob wants to play/);
+    carol.processInput("/accept");
+    // bob sits first as X and takes the top row.
+    for (const [n, cell] of [
+      [bob, 1],
+      [carol, 4],
+      [bob, 2],
+      [carol, 5],
+      [bob, 3],
+    ]) {
+      await sim.waitFor(() => myTurn(n), {
+        what: `${n.identity.username}'s turn`,
+      });
+      n.processInput(`/move ${cell}`);
+    }
+    await sim.waitFor(
+      () => gameOf(bob).status === "over" && gameOf(carol).status === "over",
+      { what: "the game to end" }
+    );
+  });
+};
+
+const runSimulation = async (script) => {
+  // Simulated links are quick, so shorter keepalives let a cut link time
+  // out in seconds. --ping-interval and --connection-timeout still win.
+  if (CONFIG_SOURCES["ping-interval"] === "default") CONFIG.PING_INTERVAL = 250;
+  if (CONFIG_SOURCES["connection-timeout"] === "default")
+    CONFIG.CONNECTION_TIMEOUT = 1500;
+  const sim = new Simulator();
+  sim.verbose = !!process.env.LANOS_SIM_VERBOSE;
+  const step = async (title, fn) => {
+    const started = Date.now();
+    await fn();
+    console.log(`ok   ${title} (${Date.now() - started}ms)`);
+  };
+  try {
+    if (script) {
+      const mod = await import(pathToFileURL(path.resolve(script)).href);
+      await mod.default(sim, step);
+    } else await SIM_SCENARIO(sim, step);
+    console.log("Simulation passed.");
+  } catch (e) {
+    console.error(`FAIL ${e.message}`);
+    sim.nodes.forEach((n) =>
+      n.logs
+        .slice(-5)
+        .forEach((l) => console.error(`  [${n.identity.username}] ${l}`))
+    );
+    process.exitCode = 1;
+  } finally {
+    sim.stop();
+  }
+};
+
+// --- WEB UI ---
+// `lan-os --web` serves a browser client from the node's own HTTP server.
+// Only loopback requests carrying the per-run token get the page or its
+// socket; everyone else still sees the plain peer endpoint.
+const isLoopback = (addr) => /^(127\.|::1$|::ffff:127\.)/.test(addr || "");
+
+const WEB_UI_HTML = `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>LAN-OS OMEGA</title>
+<style>
+  * { box-sizing: border-box; }
+  body { margin: 0; height: 100vh; display: grid; grid-template-columns: 220px 1fr 260px;
+    font: 14px monospace; background: #111; color: #ddd; }
+  section { border: 1px solid #333; display: flex; flex-direction: column; min-height: 0; }
+  h2 { margin: 0; padding: 6px 8px; font-size: 13px; background: #222; color: #8cf; }
+  ul { list-style: none; margin: 0; padding: 0; overflow-y: auto; }
+  li { padding: 4px 8px; cursor: pointer; }
+  li:hover, li.active { background: #244; }
+  .col { display: flex; flex-direction: column; min-height: 0; }
+  #log { flex: 1; overflow-y: auto; padding: 8px; }
+  #log div { white-space: pre-wrap; margin: 2px 0; }
+  .dm { color: #f8f; } .gen { color: #8f8; } .me { color: #fff; } .rcpt { color: #888; } .read { color: #6d6; }
+  #input { border: 0; border-top: 1px solid #333; background: #000; color: #fff; padding: 10px; font: inherit; }
+  #board { margin: 0; padding: 8px; font-size: 16px; line-height: 1.3; }
+  #board.cells { display: grid; gap: 4px; justify-content: start; }
+  #board button { width: 48px; height: 48px; font: bold 20px monospace; background: #333; color: #fff; border: 0; }
+  #board button:enabled { cursor: pointer; } #board button:enabled:hover { background: #444; }
+  #gameStatus { padding: 0 8px 8px; color: #fd6; }
+  #transfers div, #sys div { padding: 2px 8px; white-space: pre-wrap; }
+  .bar { height: 6px; background: #333; margin: 2px 0 6px; } .bar span { display: block; height: 100%; background: #4af; }
+  #sys { flex: 1; overflow-y: auto; font-size: 12px; }
+  body.drop::after { content: "Drop to send"; position: fixed; inset: 0; display: flex; align-items: center;
+    justify-content: center; font-size: 32px; background: rgba(0, 80, 120, 0.6); }
+  body.shake { animation: shake 0.3s; }
+  @keyframes shake { 25% { transform: translateX(6px); } 75% { transform: translateX(-6px); } }
+</style>
+</head>
+<body>
+<div class="col">
+  <section style="flex: 1"><h2>Online</h2><ul id="peers"></ul></section>
+  <section style="flex: 1"><h2>Chats</h2><ul id="chats"></ul></section>
+</div>
+<section>
+  <h2 id="title">Chat</h2>
+  <div id="log"></div>
+  <input id="input" placeholder="Message, or /help" autofocus>
+</section>
+<div class="col">
+  <section><h2 id="gameTitle">Game</h2><pre id="board"></pre><div id="gameStatus"></div></section>
+  <section><h2>Transfers</h2><div id="transfers">Idle.</div></section>
+  <section style="flex: 1"><h2>System</h2><div id="sys"></div></section>
+</div>
+<script>
+  var token = new URLSearchParams(location.search).get("t");
+  var $ = function (id) { return document.getElementById(id); };
+  var me = {}, target = "general", uploads = {}, transfers = [];
+  var ws = new WebSocket((location.protocol === "https:" ? "wss://" : "ws://") + location.host + "/ui?t=" + token);
+  var send = function (msg) { ws.send(JSON.stringify(msg)); };
+
+  var line = function (box, text, cls) {
+    var d = document.createElement("div");
+    d.textContent = text;
+    if (cls) d.className = cls;
+    box.appendChild(d);
+    box.scrollTop = box.scrollHeight;
+    return d;
+  };
+  var receipt = function (m) {
+    if (m.fromId !== me.id || !m.id) return "";
+    if (m.queued) return " (queued)";
+    var r = Object.values(m.receipts || {});
+    var read = r.filter(function (s) { return s === "read"; }).length;
+    if (m.isPm) return read ? " \\u2713\\u2713 read" : r.length ? " \\u2713\\u2713" : " \\u2713";
+    if (read) return " \\u2713\\u2713 read by " + read;
+    return r.length ? " \\u2713\\u2713 " + r.length : " \\u2713";
+  };
+  var chat = function (m, showConvo) {
+    var time = new Date(m.ts).toTimeString().slice(0, 5);
+    var who = m.fromId === me.id ? "Me" : m.name;
+    var d = line($("log"), "[" + time + (showConvo ? " " + m.convoName : "") + "] " + who + ": " + m.text,
+      m.isPm ? "dm" : "gen");
+    var r = receipt(m);
+    if (r) {
+      var s = document.createElement("span");
+      s.className = /read/.test(r) ? "read" : "rcpt";
+      s.textContent = r;
+      d.appendChild(s);
+    }
+  };
+  var list = function (ul, items, active, onClick) {
+    ul.innerHTML = "";
+    items.forEach(function (it) {
+      var li = document.createElement("li");
+      li.textContent = it.name + (it.online ? " \\u25cf" : "");
+      if (it.id === active) li.className = "active";
+      li.onclick = function () { onClick(it); };
+      ul.appendChild(li);
     });
+  };
+  var renderTransfers = function () {
+    var box = $("transfers");
+    box.innerHTML = "";
+    var rows = Object.values(uploads).concat(transfers);
+    if (!rows.length) box.textContent = "Idle.";
+    rows.forEach(function (t) {
+      line(box, (t.direction === "in" ? "<- " : "-> ") + t.name + (t.peerName ? " (" + t.peerName + ")" : "") +
+        "  " + t.pct + "% " + (t.rate || t.state));
+      var bar = document.createElement("div");
+      bar.className = "bar";
+      bar.innerHTML = "<span></span>";
+      bar.firstChild.style.width = t.pct + "%";
+      box.appendChild(bar);
+    });
+  };
+
+  ws.onmessage = function (ev) {
+    var msg = JSON.parse(ev.data);
+    if (msg.type === "state") {
+      me = msg.me;
+      target = msg.target;
+      list($("peers"), msg.peers, null, function (p) { send({ type: "connect", id: p.id }); });
+      list($("chats"), msg.chats, target, function (c) { send({ type: "open", to: c.id }); });
+    } else if (msg.type === "conversation") {
+      target = msg.convo;
+      $("title").textContent = "Chat: " + msg.name;
+      $("log").innerHTML = "";
+      msg.entries.forEach(function (m) { chat(m); });
+      Array.prototype.forEach.call($("chats").children, function (li) {
+        li.classList.toggle("active", li.textContent === msg.name);
+      });
+    } else if (msg.type === "chat") {
+      if (msg.m.convo === target) chat(msg.m);
+      else line($("sys"), "New message in " + msg.m.convoName, "dm");
+    } else if (msg.type === "results") {
+      line($("log"), "--- " + msg.title + " ---");
+      msg.entries.forEach(function (m) { chat(m, true); });
+      line($("log"), "---");
+    } else if (msg.type === "log") {
+      line($("sys"), msg.text);
+    } else if (msg.type === "transfers") {
+      transfers = msg.list;
+      renderTransfers();
+    } else if (msg.type === "game") {
+      $("gameTitle").textContent = msg.title;
+      $("board").textContent = msg.cells ? "" : msg.lines.join("\\n");
+      $("board").className = msg.cells ? "cells" : "";
+      (msg.cells || []).forEach(function (row) {
+        $("board").style.gridTemplateColumns = "repeat(" + row.length + ", 48px)";
+        row.forEach(function (cell) {
+          var b = document.createElement("button");
+          b.textContent = cell.text;
+          b.disabled = !cell.move;
+          b.onclick = function () { send({ type: "move", move: cell.move }); };
+          $("board").appendChild(b);
+        });
+      });
+      $("gameStatus").textContent = msg.status;
+    } else if (msg.type === "nudge") {
+      if (msg.who) line($("sys"), msg.who + " sent a NUDGE!", "dm");
+      document.body.classList.remove("shake");
+      void document.body.offsetWidth;
+      document.body.classList.add("shake");
+    }
+  };
+  ws.onclose = function () { line($("sys"), "Disconnected from the node. Reload to retry."); };
+
+  $("input").onkeydown = function (e) {
+    if (e.key !== "Enter" || !this.value.trim()) return;
+    send({ type: "input", to: target, text: this.value.trim() });
+    this.value = "";
+  };
+
+  var upload = function (file) {
+    var key = file.name + ":" + Date.now();
+    uploads[key] = { direction: "out", name: file.name, pct: 0, state: "uploading" };
+    renderTransfers();
+    var xhr = new XMLHttpRequest();
+    xhr.open("POST", "/ui/upload?t=" + token + "&to=" + encodeURIComponent(target) +
+      "&name=" + encodeURIComponent(file.name));
+    xhr.upload.onprogress = function (e) {
+      if (!e.lengthComputable) return;
+      uploads[key].pct = Math.floor((e.loaded / e.total) * 100);
+      renderTransfers();
+    };
+    xhr.onloadend = function () {
+      delete uploads[key];
+      renderTransfers();
+      if (xhr.status !== 200)
+        line($("sys"), "Upload of " + file.name + " failed" + (xhr.responseText ? ": " + xhr.responseText : "."));
+    };
+    xhr.send(file);
+  };
+  document.ondragover = function (e) { e.preventDefault(); document.body.classList.add("drop"); };
+  document.ondragleave = function (e) { if (!e.relatedTarget) document.body.classList.remove("drop"); };
+  document.ondrop = function (e) {
+    e.preventDefault();
+    document.body.classList.remove("drop");
+    Array.prototype.forEach.call(e.dataTransfer.files, upload);
+  };
+</script>
+</body>
+</html>
+`;
+
+const startWebUi = (node) => {
+  const token = crypto.randomBytes(16).toString("hex");
+  // Dropped files are spooled here until every peer offered one is done
+  // with it; whatever is left goes when the process exits.
+  const uploads = fs.mkdtempSync(path.join(os.tmpdir(), "lan-os-uploads-"));
+  process.on("exit", () =>
+    fs.rmSync(uploads, { recursive: true, force: true })
+  );
+  const spooled = new Map(); // fileId -> its spool dir
+  const clients = new Set();
+
+  const authorized = (req) => {
+    const url = new URL(req.url, "http://localhost");
+    if (!isLoopback(req.socket.remoteAddress)) return null;
+    return url.searchParams.get("t") === token ? url : null;
+  };
+  const validTarget = (to) =>
+    to === "general" ||
+    node.joinedRooms.has(to) ||
+    node.conns.has(to) ||
+    !!node.knownPeers[to];
+
+  const send = (ws, type, data) => {
+    if (ws.readyState === WebSocket.OPEN)
+      ws.send(JSON.stringify({ type, ...data }));
+  };
+  const broadcast = (type, data) =>
+    clients.forEach((ws) => send(ws, type, data));
+
+  const chatEntry = (m) => ({ ...m, convoName: node._convoName(m.convo) });
+  const state = () => ({
+    me: { id: node.identity.id, name: node.identity.username },
+    peers: [...node.peers.values()]
+      .filter((p) => !node.isBlocked(p.id))
+      .map(({ id, name }) => ({
+        id,
+        name,
+        online: node.conns.has(id),
+      })),
+    chats: ["general", ...node.conns.keys(), ...node.joinedRooms].map((id) => ({
+      id,
+      name: node._convoName(id),
+    })),
+    target: node.activeTarget,
+  });
+  const conversation = (convo) => ({
+    convo,
+    name: node._convoName(convo),
+    entries: node.history.load(convo).map(chatEntry),
+  });
+  const transfers = () => ({
+    list: node.transfers.list().map((t) => ({
+      direction: t.direction,
+      name: t.name,
+      peerName: t.peerName,
+      state: t.state,
+      pct: node.transfers.percent(t),
+      rate: t.state === "active" ? fmtRate(t.rate) : "",
+    })),
+  });
+  const game = () => node.describeGame(node.games.get(node.activeGame));
 
-    ws.on("error", (e) => {});
-  }
+  node.on("log", (m) => broadcast("log", { text: plain(m) }));
+  node.on("chat", (m) => broadcast("chat", { m: chatEntry(m) }));
+  node.on("chat_status", ({ convo }) => {
+    if (convo === node.activeTarget)
+      broadcast("conversation", conversation(convo));
+  });
+  node.on("history", ({ title, entries }) =>
+    broadcast("results", { title, entries: entries.map(chatEntry) })
+  );
+  ["peers_update", "conns_update", "rooms_update"].forEach((event) =>
+    node.on(event, () => broadcast("state", state()))
+  );
+  node.on("target_changed", (convo) => {
+    broadcast("state", state());
+    broadcast("conversation", conversation(convo));
+  });
+  node.transfers.on("update", () => broadcast("transfers", transfers()));
+  node.on("game_update", () => broadcast("game", game()));
+  node.on("nudge_event", (who) => broadcast("nudge", { who }));
+  node.on("security_alert", () => broadcast("nudge", {}));
 
-  _send(ws, type, payload) {
+  // Every tab drives the node's single active conversation.
+  const onMessage = (ws, raw) => {
+    let msg;
     try {
-      if (ws.readyState === WebSocket.OPEN)
-        ws.send(JSON.stringify({ type, payload }));
-    } catch (e) {}
-  }
-
-  processInput(text) {
-    if (!text) return;
-    if (text === "/help") return this._showHelp();
-    if (text.startsWith("/play")) return this._invite();
-    if (text.startsWith("/accept")) return this._accept();
-    if (text.startsWith("/send "))
-      return this._sendFile(text.split("/send ")[1].trim());
-    if (text === "/nudge") return this._sendNudge();
-    if (text.startsWith("/exec ")) return this._requestShell(text.slice(6));
-    if (text === "/allow") return this._approveShell();
+      msg = JSON.parse(raw);
+    } catch (e) {
+      return;
+    }
+    if (validTarget(msg.to) && msg.to !== node.activeTarget)
+      node.setTarget(msg.to);
+    if (msg.type === "open") send(ws, "conversation", conversation(msg.to));
+    else if (msg.type === "input" && msg.text)
+      node.processInput(String(msg.text));
+    else if (msg.type === "connect") node.connect(msg.id);
+    else if (msg.type === "move" && msg.move) node.clickCell(String(msg.move));
+  };
 
-    if (this.activeTarget === "general") {
-      let count = 0;
-      this.conns.forEach((c) => {
-        this._send(c.ws, "msg", {
-          fromId: this.identity.id,
-          name: this.identity.username,
-          text,
-          isPm: false,
-        });
-        count++;
+  // Dropped files are spooled to disk first; _sendFile streams from there
+  // once the peer accepts.
+  const onUpload = (url, req, res) => {
+    const to = url.searchParams.get("to");
+    const fail = (status, message) => {
+      res.writeHead(status);
+      res.end(message);
+    };
+    if (!validTarget(to)) return fail(400, "Unknown conversation");
+    const dir = fs.mkdtempSync(path.join(uploads, "upload-"));
+    const drop = () => fs.rm(dir, { recursive: true, force: true }, () => {});
+    const file = path.join(
+      dir,
+      path.basename(url.searchParams.get("name") || "upload")
+    );
+    req
+      .pipe(fs.createWriteStream(file))
+      .on("finish", () => {
+        // The upload names its conversation, so the open one is left alone.
+        const fileId = node._sendFile(file, to);
+        if (!fileId) {
+          drop();
+          return fail(409, "Nobody could be offered the file");
+        }
+        spooled.set(fileId, dir);
+        res.writeHead(200);
+        res.end();
+      })
+      .on("error", (e) => {
+        drop();
+        fail(500, e.message);
       });
-      if (count === 0 && this.conns.size === 0) {
-        this.emit("log", `${COLORS.err}No one is connected.${COLORS.reset}`);
+  };
+  node.transfers.on("removed", (t) => {
+    const dir = spooled.get(t.fileId);
+    if (!dir || t.direction !== "out") return;
+    const pending = node.transfers
+      .list()
+      .some((x) => x.direction === "out" && x.fileId === t.fileId);
+    if (pending) return;
+    spooled.delete(t.fileId);
+    fs.rm(dir, { recursive: true, force: true }, () => {});
+  });
+
+  return {
+    url: (port) => `http://localhost:${port}/?t=${token}`,
+    handleRequest(req, res) {
+      const url = authorized(req);
+      if (!url) return false;
+      if (req.method === "GET" && url.pathname === "/") {
+        res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+        res.end(WEB_UI_HTML);
+        return true;
       }
-      this.emit("chat", { name: "Me", text, isPm: false });
-    } else {
-      const t = this.conns.get(this.activeTarget);
-      if (t) {
-        this._send(t.ws, "msg", {
-          fromId: this.identity.id,
-          name: this.identity.username,
-          text,
-          isPm: true,
-        });
-        this.emit("chat", { name: `-> ${t.meta.name}`, text, isPm: true });
-      } else {
-        this.activeTarget = "general";
-        this.emit("target_changed", "general");
-        this.emit(
-          "log",
-          `${COLORS.err}User gone. Switched to General.${COLORS.reset}`
-        );
+      if (req.method === "POST" && url.pathname === "/ui/upload") {
+        onUpload(url, req, res);
+        return true;
       }
-    }
-  }
+      return false;
+    },
+    handleSocket(ws, req) {
+      if (!req.url.startsWith("/ui")) return false;
+      if (!authorized(req)) {
+        ws.close();
+        return true;
+      }
+      clients.add(ws);
+      ws.on("close", () => clients.delete(ws));
+      ws.on("message", (raw) => onMessage(ws, String(raw)));
+      send(ws, "state", state());
+      send(ws, "conversation", conversation(node.activeTarget));
+      send(ws, "transfers", transfers());
+      send(ws, "game", game());
+      return true;
+    },
+  };
+};
 
-  _showHelp() {
-    const help = [
-      `{bold}LAN-OS COMMANDS:{/}`,
-      `  /send <path>   : Send file (to DM or All)`,
-      `  /nudge         : Shake opponent's screen`,
-      `  /play          : Invite to Tic-Tac-Toe`,
-      `  /accept        : Accept Game Invite`,
-      `  /exec <cmd>    : Request remote shell`,
-      `  /allow         : Approve shell request`,
-    ];
-    help.forEach((l) => this.emit("log", l));
+// --- LINE EDITOR ---
+// Directory entries that complete a partly typed path. Folders keep a
+// trailing slash so completion can carry on into them.
+const completePath = (partial) => {
+  const cut = Math.max(partial.lastIndexOf("/"), partial.lastIndexOf(path.sep));
+  const dir = partial.slice(0, cut + 1);
+  const base = partial.slice(cut + 1);
+  try {
+    return fs
+      .readdirSync(dir || ".", { withFileTypes: true })
+      .filter(
+        (e) =>
+          e.name.startsWith(base) &&
+          (base.startsWith(".") || !e.name.startsWith("."))
+      )
+      .map((e) => dir + e.name + (e.isDirectory() ? "/" : ""));
+  } catch (e) {
+    return [];
   }
+};
 
-  _sendNudge() {
-    const t = this.conns.get(this.activeTarget);
-    if (!t || this.activeTarget === "general")
-      return this.emit(
-        "log",
-        `${COLORS.err}Only DMs can be nudged.${COLORS.reset}`
-      );
-    this._send(t.ws, "nudge", { fromName: this.identity.username });
-    this.emit("log", `${COLORS.dm}Nudged ${t.meta.name}!${COLORS.reset}`);
-  }
+const commonPrefix = (words) =>
+  words.reduce((pre, w) => {
+    let i = 0;
+    while (i < pre.length && pre[i] === w[i]) i++;
+    return pre.slice(0, i);
+  });
 
-  _requestShell(cmd) {
-    const t = this.conns.get(this.activeTarget);
-    if (!t || this.activeTarget === "general")
-      return this.emit(
-        "log",
-        `${COLORS.err}Only DMs support remote shell.${COLORS.reset}`
-      );
-    this._send(t.ws, "shell-req", {
-      fromId: this.identity.id,
-      fromName: this.identity.username,
-      cmd,
-    });
-    this.emit(
-      "log",
-      `${COLORS.sys}Requesting to run '${cmd}' on ${t.meta.name}'s PC...${COLORS.reset}`
-    );
+// The TUI input line: text with a cursor, the lines sent before (kept
+// across sessions) and completion of the word before the cursor.
+class LineEditor {
+  // `candidates(before, word)` lists completions for `word`, where
+  // `before` is the text on the line ahead of it.
+  constructor(candidates) {
+    this.text = "";
+    this.cursor = 0;
+    this.candidates = candidates;
+    this.history = loadJSON(CONFIG.INPUT_HISTORY_FILE, []);
+    this.histIndex = this.history.length;
+    this.draft = "";
   }
 
-  _approveShell() {
-    if (!this.pendingShell)
-      return this.emit(
-        "log",
-        `${COLORS.err}No pending shell requests.${COLORS.reset}`
-      );
-    const { fromId, cmd } = this.pendingShell;
-    const t = this.conns.get(fromId);
-    this.emit("log", `${COLORS.sys}Executing: ${cmd}${COLORS.reset}`);
-    exec(cmd, (err, stdout, stderr) => {
-      const output = err ? stderr : stdout;
-      if (t)
-        this._send(t.ws, "shell-out", { output: output || "Done (No Output)" });
-      this.emit("log", `${COLORS.sys}Execution finished.${COLORS.reset}`);
-    });
-    this.pendingShell = null;
+  set(text) {
+    this.text = text;
+    this.cursor = text.length;
   }
 
-  // --- UPDATED SEND FILE LOGIC ---
-  _sendFile(filePath) {
-    if (!fs.existsSync(filePath))
-      return this.emit("log", `${COLORS.err}File not found.${COLORS.reset}`);
-
-    // 1. Determine Targets
-    let targets = [];
-    const isGeneral = this.activeTarget === "general";
-
-    if (isGeneral) {
-      this.conns.forEach((c) => targets.push(c));
-      if (targets.length === 0) {
-        return this.emit(
-          "log",
-          `${COLORS.err}No peers online to receive broadcast.${COLORS.reset}`
-        );
-      }
-    } else {
-      const t = this.conns.get(this.activeTarget);
-      if (!t)
-        return this.emit(
-          "log",
-          `${COLORS.err}Target disconnected.${COLORS.reset}`
-        );
-      targets.push(t);
-    }
-
-    // 2. Prepare File Data
-    const fileId = uuidv4();
-    const stats = fs.statSync(filePath);
-    const filename = path.basename(filePath);
-
-    this.emit(
-      "log",
-      `${COLORS.me}Sending file: ${filename} to ${
-        isGeneral ? "#General" : targets[0].meta.name
-      }...${COLORS.reset}`
-    );
-
-    // 3. Send Offer
-    targets.forEach((t) => {
-      this._send(t.ws, "file-offer", {
-        fileId,
-        filename,
-        size: stats.size,
-        fromId: this.identity.id,
-        fromName: this.identity.username,
-        isPm: !isGeneral,
-      });
-    });
+  insert(str) {
+    this.text =
+      this.text.slice(0, this.cursor) + str + this.text.slice(this.cursor);
+    this.cursor += str.length;
+  }
 
-    // 4. Stream
-    const stream = fs.createReadStream(filePath, {
-      highWaterMark: CONFIG.CHUNK_SIZE,
-    });
+  // Deletes between the cursor and `to`, in either direction.
+  _cut(to) {
+    const [a, b] = [Math.min(to, this.cursor), Math.max(to, this.cursor)];
+    this.text = this.text.slice(0, a) + this.text.slice(b);
+    this.cursor = a;
+  }
 
-    stream.on("data", (chunk) => {
-      const binaryPacket = Protocol.createBinary(fileId, chunk);
-      targets.forEach((t) => {
-        if (t.ws.readyState === WebSocket.OPEN) {
-          t.ws.send(binaryPacket);
-        }
-      });
-    });
+  _wordStart() {
+    let i = this.cursor;
+    while (i > 0 && this.text[i - 1] === " ") i--;
+    while (i > 0 && this.text[i - 1] !== " ") i--;
+    return i;
+  }
 
-    stream.on("end", () => {
-      targets.forEach((t) => {
-        this._send(t.ws, "file-end", { fileId, filename });
-      });
-      this.emit("log", `${COLORS.me}Transfer Complete.${COLORS.reset}`);
-    });
+  _wordEnd() {
+    let i = this.cursor;
+    while (i < this.text.length && this.text[i] === " ") i++;
+    while (i < this.text.length && this.text[i] !== " ") i++;
+    return i;
+  }
 
-    stream.on("error", (err) => {
-      this.emit(
-        "log",
-        `${COLORS.err}Read Error: ${err.message}${COLORS.reset}`
-      );
-    });
+  left() {
+    this.cursor = Math.max(0, this.cursor - 1);
+  }
+  right() {
+    this.cursor = Math.min(this.text.length, this.cursor + 1);
+  }
+  home() {
+    this.cursor = 0;
+  }
+  end() {
+    this.cursor = this.text.length;
+  }
+  wordLeft() {
+    this.cursor = this._wordStart();
+  }
+  wordRight() {
+    this.cursor = this._wordEnd();
+  }
+  backspace() {
+    this._cut(Math.max(0, this.cursor - 1));
+  }
+  del() {
+    this._cut(Math.min(this.text.length, this.cursor + 1));
+  }
+  deleteWord() {
+    this._cut(this._wordStart());
+  }
+  deleteToStart() {
+    this._cut(0);
+  }
+  deleteToEnd() {
+    this._cut(this.text.length);
   }
-  // --- END UPDATED SEND FILE LOGIC ---
 
-  _invite() {
-    const t = this.conns.get(this.activeTarget);
-    if (t) {
-      this._send(t.ws, "game-invite", {
-        fromId: this.identity.id,
-        name: this.identity.username,
-      });
-      this.emit("log", "Invite sent.");
-    } else {
-      this.emit(
-        "log",
-        `${COLORS.err}You must be in a DM to play.${COLORS.reset}`
-      );
-    }
+  // Up and down walk through sent lines; what was being typed comes back
+  // after the newest one.
+  historyPrev() {
+    if (this.histIndex === 0) return;
+    if (this.histIndex === this.history.length) this.draft = this.text;
+    this.set(this.history[--this.histIndex]);
   }
 
-  _accept() {
-    const t = this.conns.get(this.activeTarget);
-    if (t) {
-      this.game.start("O");
-      this._send(t.ws, "game-start", { role: "X" });
-      this.emit("game_update");
-      this.emit("log", "Game accepted.");
-    }
+  historyNext() {
+    if (this.histIndex === this.history.length) return;
+    this.histIndex++;
+    this.set(
+      this.histIndex === this.history.length
+        ? this.draft
+        : this.history[this.histIndex]
+    );
   }
 
-  move(idx) {
-    if (this.game.move(idx, this.game.myRole)) {
-      this.emit("game_update");
-      const t = this.conns.get(this.activeTarget);
-      if (t) this._send(t.ws, "game-move", { idx, role: this.game.myRole });
-      this._checkWin();
+  // Clears the line and returns it, recording it in the history.
+  submit() {
+    const line = this.text.trim();
+    this.set("");
+    this.draft = "";
+    if (line && this.history[this.history.length - 1] !== line) {
+      this.history.push(line);
+      this.history.splice(0, this.history.length - CONFIG.INPUT_HISTORY_LIMIT);
+      try {
+        saveJSON(CONFIG.INPUT_HISTORY_FILE, this.history);
+      } catch (e) {}
     }
+    this.histIndex = this.history.length;
+    return line;
   }
 
-  _checkWin() {
-    const w = this.game.checkWin();
-    if (w) {
-      this.emit("log", `${COLORS.dm}GAME OVER: ${w} Wins!${COLORS.reset}`);
-      this.game.active = false;
-    }
+  // Fills in as much of the word before the cursor as the candidates
+  // agree on. Returns the candidates when more than one still fits.
+  complete() {
+    const head = this.text.slice(0, this.cursor);
+    // Paths may contain spaces, so everything after /send is one word.
+    const start = /^\/send /.test(head) ? 6 : head.lastIndexOf(" ") + 1;
+    const word = head.slice(start);
+    const matches = [
+      ...new Set(this.candidates(head.slice(0, start), word)),
+    ].filter((c) => c.toLowerCase().startsWith(word.toLowerCase()));
+    if (matches.length === 0) return [];
+    let fill = matches.length === 1 ? matches[0] : commonPrefix(matches);
+    if (matches.length === 1 && !fill.endsWith("/")) fill += " ";
+    if (fill.length < word.length) return matches;
+    this.text = head.slice(0, start) + fill + this.text.slice(this.cursor);
+    this.cursor = start + fill.length;
+    return matches.length > 1 ? matches : [];
   }
 }
 
 // --- UI ---
-(async () => {
-  let identity;
-  if (fs.existsSync(CONFIG.CONFIG_FILE))
-    identity = JSON.parse(fs.readFileSync(CONFIG.CONFIG_FILE, "utf-8"));
-  else {
-    console.clear();
-    const ans = await inquirer.prompt([
-      { type: "input", name: "u", message: "Enter Name:" },
-    ]);
-    identity = {
-      id: uuidv4(),
-      username: ans.u || "User" + Math.floor(Math.random() * 100),
-    };
-    fs.writeFileSync(CONFIG.CONFIG_FILE, JSON.stringify(identity));
-  }
-
+const runTui = (identity) => {
   const node = new NetworkNode(identity);
   const screen = blessed.screen({ smartCSR: true, title: "LAN-OS OMEGA" });
   screen.program.echo = false;
@@ -667,6 +7044,7 @@ class NetworkNode extends EventEmitter {
 
   const peerList = grid.set(0, 0, 6, 3, blessed.list, {
     label: " 1. Online ",
+    tags: true,
     style: { selected: { bg: "blue" } },
     keys: true,
     mouse: true,
@@ -675,6 +7053,7 @@ class NetworkNode extends EventEmitter {
 
   const connList = grid.set(6, 0, 6, 3, blessed.list, {
     label: " 2. Chats ",
+    tags: true,
     style: { selected: { bg: "magenta" } },
     keys: true,
     mouse: true,
@@ -688,46 +7067,105 @@ class NetworkNode extends EventEmitter {
     border: "line",
   });
 
-  const gameBox = grid.set(0, 9, 6, 3, blessed.box, {
+  const gameBox = grid.set(0, 9, 5, 3, blessed.box, {
     label: " Game ",
     border: "line",
   });
 
-  const sysBox = grid.set(6, 9, 6, 3, blessed.log, {
+  const transferBox = grid.set(5, 9, 3, 3, blessed.box, {
+    label: " Transfers ",
+    tags: true,
+    border: "line",
+  });
+
+  const sysBox = grid.set(8, 9, 4, 3, blessed.log, {
     label: " System ",
     tags: true,
     border: "line",
   });
 
+  // Diagnostics view, drawn over the chat when toggled with F2 or /diag.
+  const rttSpark = grid.set(0, 3, 5, 6, contrib.sparkline, {
+    label: " RTT (ms) ",
+    tags: true,
+    border: { type: "line", fg: "cyan" },
+    style: { fg: "cyan", titleFg: "white" },
+    hidden: true,
+  });
+
+  const bwSpark = grid.set(5, 3, 5, 6, contrib.sparkline, {
+    label: " Bandwidth (bytes/s) ",
+    tags: true,
+    border: { type: "line", fg: "cyan" },
+    style: { fg: "green", titleFg: "white" },
+    hidden: true,
+  });
+
   const inputBox = grid.set(10, 3, 2, 6, blessed.box, {
     label: " Input ",
+    tags: true,
     border: { type: "line", fg: "green" },
     content: " > ",
     style: { bg: "black", fg: "white" },
   });
 
-  const cells = [];
-  for (let i = 0; i < 9; i++) {
-    const b = blessed.button({
-      parent: gameBox,
-      top: 1 + Math.floor(i / 3) * 2,
-      left: 2 + (i % 3) * 4,
-      width: 3,
-      height: 1,
-      content: "-",
-      style: { bg: "#333" },
-      mouse: true,
-    });
-    b.on("press", () => node.move(i));
-    cells.push(b);
-  }
-
-  let inputBuffer = "";
+  const editor = new LineEditor((before, word) => {
+    if (!before && word.startsWith("/")) return node.commandNames();
+    if (before.startsWith("/send ")) return completePath(word);
+    if (before === "/set " || before === "/config ")
+      return Object.keys(OPTIONS);
+    if (word.startsWith("@"))
+      return Array.from(node.conns.values()).map((c) => `@${c.meta.name}`);
+    if (word.startsWith("#"))
+      return [...node.joinedRooms, ...node.rooms.keys()];
+    return [];
+  });
   let inInputMode = true;
   let focusIndex = 0; // 0=Input, 1=PeerList, 2=ConnList
 
+  // Keys the input line handles itself, by blessed key name.
+  const editKeys = {
+    left: () => editor.left(),
+    right: () => editor.right(),
+    home: () => editor.home(),
+    end: () => editor.end(),
+    backspace: () => editor.backspace(),
+    delete: () => editor.del(),
+    up: () => editor.historyPrev(),
+    down: () => editor.historyNext(),
+    "C-a": () => editor.home(),
+    "C-e": () => editor.end(),
+    "C-b": () => editor.left(),
+    "C-f": () => editor.right(),
+    "C-d": () => editor.del(),
+    "C-p": () => editor.historyPrev(),
+    "C-n": () => editor.historyNext(),
+    "C-w": () => editor.deleteWord(),
+    "C-u": () => editor.deleteToStart(),
+    "C-k": () => editor.deleteToEnd(),
+    "C-left": () => editor.wordLeft(),
+    "C-right": () => editor.wordRight(),
+    "M-b": () => editor.wordLeft(),
+    "M-f": () => editor.wordRight(),
+    "M-backspace": () => editor.deleteWord(),
+    "S-tab": () => {
+      const options = editor.complete();
+      if (options.length > 1) sysBox.log(options.join("  "));
+    },
+  };
+
+  // Scrolls sideways so the cursor stays in view on long lines.
   const renderInput = () => {
-    inputBox.setContent(" > " + inputBuffer + "_");
+    const width = Math.max(10, inputBox.width - 6);
+    const start = Math.max(0, editor.cursor - width + 1);
+    const shown = editor.text.slice(start, start + width);
+    const at = editor.cursor - start;
+    inputBox.setContent(
+      " > " +
+        blessed.escape(shown.slice(0, at)) +
+        `{inverse}${blessed.escape(shown[at] || " ")}{/inverse}` +
+        blessed.escape(shown.slice(at + 1))
+    );
     const isGeneral = node.activeTarget === "general";
     inputBox.style.border.fg = inInputMode
       ? isGeneral
@@ -737,6 +7175,46 @@ class NetworkNode extends EventEmitter {
     screen.render();
   };
 
+  // Delivery state of our own messages: queued, sent, delivered, read.
+  const fmtReceipt = (m) => {
+    if (m.fromId !== identity.id || !m.id) return "";
+    if (m.queued) return " {grey-fg}(queued){/}";
+    const r = Object.values(m.receipts || {});
+    const read = r.filter((s) => s === "read").length;
+    if (m.isPm) return read ? " {green-fg}✓✓ read{/}" : r.length ? " ✓✓" : " ✓";
+    if (read) return ` {green-fg}✓✓ read by ${read}{/}`;
+    return r.length ? ` ✓✓ ${r.length}` : " ✓";
+  };
+
+  // Names and text come from peers and are escaped before they meet tags.
+  const fmtChat = (m, showConvo) => {
+    const c = m.isPm ? COLORS.dm : COLORS.gen;
+    const time = new Date(m.ts).toTimeString().slice(0, 5);
+    const who =
+      m.fromId === identity.id ? "Me" : blessed.escape(String(m.name));
+    const where = showConvo
+      ? ` ${blessed.escape(node._convoName(m.convo))}`
+      : "";
+    return `${c}[${time}${where}] ${who}: ${blessed.escape(m.text)}${
+      COLORS.reset
+    }${fmtReceipt(m)}`;
+  };
+
+  const renderChatLabel = () => {
+    const typing = node.isTyping(node.activeTarget) ? " (typing…)" : "";
+    logBox.setLabel(
+      ` Chat: ${blessed.escape(node._convoName(node.activeTarget))}${typing} `
+    );
+  };
+
+  // Swaps the log box over to a conversation and replays its history.
+  const showConversation = (targetId) => {
+    renderChatLabel();
+    logBox.setContent("");
+    node.history.load(targetId).forEach((m) => logBox.log(fmtChat(m)));
+    screen.render();
+  };
+
   const doShake = () => {
     process.stdout.write("\x07");
     let count = 0;
@@ -755,8 +7233,20 @@ class NetworkNode extends EventEmitter {
     }, 50);
   };
 
+  const PRESENCE_COLORS = { online: "green", away: "yellow", busy: "red" };
+
+  // A linked peer's name with a presence dot and status message. Names
+  // come from peers, so they are escaped like the status text.
+  const presenceLabel = (id, name) => {
+    const p = node.conns.get(id)?.presence;
+    if (!p) return blessed.escape(name);
+    return `{${PRESENCE_COLORS[p.state]}-fg}●{/} ${blessed.escape(name)}${
+      p.text ? ` {grey-fg}${blessed.escape(p.text)}{/}` : ""
+    }`;
+  };
+
   screen.on("keypress", (ch, key) => {
-    if (key.name === "tab") {
+    if (key.full === "tab") {
       focusIndex = (focusIndex + 1) % 3;
       inInputMode = focusIndex === 0;
       if (focusIndex === 0) inputBox.focus();
@@ -769,25 +7259,54 @@ class NetworkNode extends EventEmitter {
 
     if (inInputMode) {
       if (key.name === "return" || key.name === "enter") {
-        if (inputBuffer.trim().length > 0) {
-          node.processInput(inputBuffer.trim());
-          inputBuffer = "";
-        }
-        renderInput();
-      } else if (key.name === "backspace") {
-        inputBuffer = inputBuffer.slice(0, -1);
+        const line = editor.submit();
+        node.setTyping(false);
+        if (line) node.processInput(line);
         renderInput();
+        return;
+      } else if (editKeys[key.full]) {
+        editKeys[key.full]();
       } else if (ch && ch.length === 1 && !key.ctrl && !key.meta) {
-        inputBuffer += ch;
-        renderInput();
-      }
+        editor.insert(ch);
+      } else return;
+      node.noteActivity();
+      node.setTyping(!!editor.text.trim() && !editor.text.startsWith("/"));
+      renderInput();
     }
   });
 
+  // Discovered peers, then saved contacts that are offline.
+  const peerRows = () => [
+    ...Array.from(node.peers.values())
+      .filter((p) => !node.isBlocked(p.id))
+      .map((p) => ({
+        id: p.id,
+        name: p.name,
+        label: presenceLabel(p.id, p.name),
+      })),
+    ...Object.values(node.contacts)
+      .filter(
+        (c) =>
+          !node.peers.has(c.id) &&
+          !node.conns.has(c.id) &&
+          !node.isBlocked(c.id)
+      )
+      .map((c) => ({
+        id: c.id,
+        name: c.name,
+        label: `{grey-fg}${blessed.escape(c.name)} · ${fmtAgo(c.lastSeen)}{/}`,
+      })),
+  ];
+
+  const renderPeers = () => {
+    peerList.setItems(peerRows().map((p) => p.label));
+    screen.render();
+  };
+
   peerList.on("select", (item, i) => {
-    const p = Array.from(node.peers.values())[i];
+    const p = peerRows()[i];
     if (p) {
-      sysBox.log(`Connecting to ${p.name}...`);
+      sysBox.log(`Connecting to ${blessed.escape(p.name)}...`);
       node.connect(p.id);
     }
     focusIndex = 0;
@@ -796,18 +7315,23 @@ class NetworkNode extends EventEmitter {
     renderInput();
   });
 
+  // Order matches the items rendered into connList.
+  const chatTargets = () => [
+    "general",
+    ...Array.from(node.conns.keys()),
+    ...node.joinedRooms,
+  ];
+
+  const renderChats = () => {
+    connList.setItems(
+      chatTargets().map((id) => presenceLabel(id, node._convoName(id)))
+    );
+    screen.render();
+  };
+
   connList.on("select", (item, i) => {
-    if (i === 0) {
-      node.activeTarget = "general";
-      logBox.setLabel(" Chat: #General ");
-    } else {
-      const connections = Array.from(node.conns.values());
-      const t = connections[i - 1];
-      if (t) {
-        node.activeTarget = t.meta.fromId;
-        logBox.setLabel(` Chat: @${t.meta.name} `);
-      }
-    }
+    const target = chatTargets()[i];
+    if (target) node.setTarget(target);
     focusIndex = 0;
     inInputMode = true;
     inputBox.focus();
@@ -822,44 +7346,188 @@ class NetworkNode extends EventEmitter {
     sysBox.log(`${COLORS.dm}${who} sent a NUDGE!${COLORS.reset}`);
     doShake();
   });
+  node.on("security_alert", () => doShake());
   node.on("chat", (m) => {
-    const c = m.isPm ? COLORS.dm : COLORS.gen;
-    const pre = m.isPm ? `[DM ${m.name}]` : `[#Gen ${m.name}]`;
-    logBox.log(`${c}${pre}: ${m.text}${COLORS.reset}`);
+    if (m.convo === node.activeTarget) logBox.log(fmtChat(m));
+    else
+      sysBox.log(
+        `${COLORS.dm}New message in ${blessed.escape(
+          node._convoName(m.convo)
+        )}${COLORS.reset}`
+      );
     screen.render();
   });
-  node.on("peers_update", () => {
-    peerList.setItems(Array.from(node.peers.values()).map((x) => x.name));
+  node.on("chat_status", ({ convo }) => {
+    if (convo === node.activeTarget) showConversation(convo);
+  });
+  node.on("history", ({ title, entries, showConvo }) => {
+    logBox.log(`{bold}--- ${title} ---{/}`);
+    entries.forEach((m) => logBox.log(fmtChat(m, showConvo)));
+    logBox.log(`{bold}---{/}`);
     screen.render();
   });
+  node.on("peers_update", renderPeers);
   node.on("conns_update", () => {
-    connList.setItems([
-      "#General",
-      ...Array.from(node.conns.values()).map((x) => x.meta.name),
-    ]);
-    screen.render();
+    renderPeers();
+    renderChats();
   });
-  node.on("target_changed", (targetId) => {
-    if (targetId === "general") {
-      logBox.setLabel(" Chat: #General ");
-    } else {
-      const t = node.conns.get(targetId);
-      if (t) logBox.setLabel(` Chat: @${t.meta.name} `);
+  node.on("rooms_update", renderChats);
+  node.on("presence_update", () => {
+    renderPeers();
+    renderChats();
+  });
+  node.on("typing_update", (peerId) => {
+    if (peerId === node.activeTarget) {
+      renderChatLabel();
+      screen.render();
     }
+  });
+  // Keeps the "last seen" times current.
+  setInterval(renderPeers, 60000);
+  node.on("target_changed", (targetId) => {
+    showConversation(targetId);
     renderInput();
   });
-  node.on("game_update", () => {
-    node.game.board.forEach((v, i) => {
-      cells[i].setContent(v || "-");
-      cells[i].style.bg = v === "X" ? "red" : v === "O" ? "blue" : "#333";
+  const renderTransfers = () => {
+    const lines = node.transfers.list().map((t) => {
+      const pct = node.transfers.percent(t);
+      const filled = Math.round(pct / 10);
+      const arrow = t.direction === "in" ? "<-" : "->";
+      const info =
+        t.state === "active"
+          ? `${fmtRate(t.rate)} ${fmtEta(node.transfers.eta(t))}`
+          : t.state;
+      return (
+        `${arrow} ${t.name} (${t.peerName})\n` +
+        `${COLORS.file}${"#".repeat(filled)}${"-".repeat(10 - filled)}${
+          COLORS.reset
+        } ${pct}% ${info}`
+      );
     });
+    transferBox.setContent(lines.length ? lines.join("\n") : "Idle.");
     screen.render();
-  });
+  };
+
+  node.transfers.on("update", renderTransfers);
+
+  // Games with cells get a button per cell; pressing one is a /move.
+  let cellButtons = [];
+  const renderGame = () => {
+    const { title, lines, cells, status } = node.describeGame(
+      node.games.get(node.activeGame)
+    );
+    cellButtons.forEach((b) => b.destroy());
+    cellButtons = (cells || []).flatMap((row, y) =>
+      row.map((cell, x) => {
+        const b = blessed.button({
+          parent: gameBox,
+          top: 1 + y * 2,
+          left: 2 + x * 4,
+          width: 3,
+          height: 1,
+          content: ` ${cell.text}`,
+          style: { bg: "#333", hover: { bg: cell.move ? "blue" : "#333" } },
+          mouse: true,
+        });
+        if (cell.move) b.on("press", () => node.clickCell(cell.move));
+        return b;
+      })
+    );
+    gameBox.setLabel(` ${title} `);
+    gameBox.setContent(
+      [...(cells ? Array(cells.length * 2).fill("") : lines), "", status].join(
+        "\n"
+      )
+    );
+    screen.render();
+  };
+  node.on("game_update", renderGame);
+
+  const renderDiagnostics = () => {
+    if (rttSpark.hidden) return;
+    const links = [...node.conns.values()];
+    const fit = (box, list) => list.slice(-(box.width - 2));
+    const draw = (box, title, key) =>
+      links.length
+        ? box.setData(
+            links.map((c) => `${c.meta.name} ${title(c.stats)}`),
+            links.map((c) => fit(box, c.stats[key]))
+          )
+        : box.setData(["No links"], [[]]);
+    draw(
+      rttSpark,
+      (st) => (st.rtt === null ? "-" : `${st.rtt}ms`),
+      "rttHistory"
+    );
+    draw(
+      bwSpark,
+      (st) => fmtRate(st.bwHistory[st.bwHistory.length - 1] || 0),
+      "bwHistory"
+    );
+    rttSpark.setLabel(` RTT (ms) · our loop lag ${node.loopLag}ms `);
+    screen.render();
+  };
+
+  const toggleDiagnostics = () => {
+    const show = rttSpark.hidden;
+    [rttSpark, bwSpark].forEach((b) => (show ? b.show() : b.hide()));
+    if (show) renderDiagnostics();
+    else screen.render();
+  };
+  node.on("diagnostics", toggleDiagnostics);
+  node.on("stats_update", renderDiagnostics);
+  screen.key(["f2"], toggleDiagnostics);
 
   node.start();
-  connList.setItems(["#General"]);
+  renderPeers();
+  renderChats();
+  showConversation("general");
+  renderTransfers();
+  renderGame();
   sysBox.log(`User: ${identity.username}`);
   sysBox.log(`IP: ${getIP()}`);
+  node.on("ready", (port) => {
+    sysBox.log(`Port: ${port}`);
+    localInterfaces()
+      .filter((i) => !i.virtual && rankAddress(i.address) < 9)
+      .forEach((i) => sysBox.log(`  ${i.name}: ${i.address}`));
+    screen.render();
+  });
   sysBox.log(`Status: Ready.`);
+  sysBox.log(`Tab: switch panel. Shift+Tab: complete. F2: diagnostics.`);
   renderInput();
+};
+
+// --- MAIN ---
+// The daemon cannot prompt, so it names itself after --name or the host.
+// --name only applies when the profile has no identity yet.
+const loadIdentity = async (name) => {
+  if (fs.existsSync(CONFIG.IDENTITY_FILE))
+    return JSON.parse(fs.readFileSync(CONFIG.IDENTITY_FILE, "utf-8"));
+  if (!name) {
+    console.clear();
+    const ans = await inquirer.prompt([
+      { type: "input", name: "u", message: "Enter Name:" },
+    ]);
+    name = ans.u || "User" + Math.floor(Math.random() * 100);
+  }
+  const identity = { id: uuidv4(), username: name };
+  fs.writeFileSync(CONFIG.IDENTITY_FILE, JSON.stringify(identity));
+  return identity;
+};
+
+(async () => {
+  const args = ARGS.rest;
+  const daemon = args.includes("--daemon") || args.includes("--web");
+  if (daemon || !args.length || args[0] === "config") loadProfile();
+  if (daemon)
+    return runDaemon(await loadIdentity(ARGS.flags.name || os.hostname()), {
+      web: args.includes("--web"),
+    });
+  if (args.length)
+    return runCli(args).catch((e) => {
+      console.error(e.message);
+      process.exitCode = 1;
+    });
+  runTui(await loadIdentity(ARGS.flags.name));
 })();
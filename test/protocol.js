@@ -0,0 +1,167 @@
+// Checks the parts of the protocol a peer could get wrong or abuse: the
+// file handshake and resume, replayed frames, duplicate relay envelopes
+// and illegal game moves. Run with `lan-os simulate test/protocol.js`.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const check = (ok, what) => {
+  if (!ok) throw new Error(what);
+};
+
+// Counts calls to one of a node's methods from now on.
+const spy = (node, method) => {
+  const calls = [];
+  const original = node[method];
+  node[method] = function (...args) {
+    calls.push(args);
+    return original.apply(this, args);
+  };
+  return calls;
+};
+
+const connOf = (from, to) => from.conns.get(to.identity.id);
+
+export default async (sim, step) => {
+  const [alice, bob, carol] = await Promise.all(
+    ["alice", "bob", "carol"].map((n) => sim.spawn(n))
+  );
+  await sim.waitFor(
+    () => [alice, bob, carol].every((n) => n.peers.size === 2),
+    { what: "discovery" }
+  );
+  alice.connect(bob.identity.id);
+  bob.connect(carol.identity.id);
+  await sim.waitFor(() => sim.linked(alice, bob) && sim.linked(bob, carol), {
+    what: "pairing",
+  });
+
+  await step("a file resumes where a dropped link left it", async () => {
+    sim.setLink(alice, bob, { latency: 30, bandwidth: 256 * 1024 });
+    const file = path.join(sim.root, "big.bin");
+    const data = crypto.randomBytes(1024 * 1024);
+    fs.writeFileSync(file, data);
+    alice.setTarget(bob.identity.id);
+    alice.processInput(`/send ${file}`);
+    await sim.waitForLog(bob, /Offers: big\.bin/);
+    bob.processInput("/acceptfile");
+    const t = await sim.waitFor(
+      () =>
+        bob.transfers
+          .list()
+          .find((t) => t.direction === "in" && t.done > 64 * 1024),
+      { what: "the first chunks" }
+    );
+    sim.disconnect(alice, bob);
+    await sim.waitForLog(bob, /Transfer of big\.bin interrupted/);
+    // Unthrottled again, so keepalives cannot queue behind the rest.
+    sim.setLink(alice, bob, { latency: 2, bandwidth: 0 });
+    await sim.waitForLog(bob, /Resuming big\.bin from (?!0\.0kb)/, {
+      timeout: 20000,
+    });
+    await sim.waitForLog(alice, /bob received big\.bin \(checksum OK\)/, {
+      timeout: 20000,
+    });
+    check(fs.readFileSync(t.path).equals(data), "the file arrived changed");
+  });
+
+  await step("a replayed frame is dropped", async () => {
+    const ws = connOf(alice, bob).ws;
+    const send = ws.send;
+    let frame = null;
+    ws.send = function (data, ...rest) {
+      frame = data;
+      return send.call(this, data, ...rest);
+    };
+    const chats = spy(bob, "_onChat");
+    alice.setTarget(bob.identity.id);
+    alice.sendChat("just once");
+    ws.send = send;
+    check(frame, "alice sent nothing");
+    ws.send(frame);
+    alice.sendChat("and again");
+    await sim.waitFor(() => chats.some(([m]) => m.text === "and again"), {
+      what: "the message after the replay",
+    });
+    check(
+      chats.filter(([m]) => m.text === "just once").length === 1,
+      "bob took the replayed frame"
+    );
+  });
+
+  await step("a relay envelope is delivered once", async () => {
+    // alice's envelope to bob is held back, so a forgery carrying its id
+    // gets there first; the genuine one then arrives twice.
+    const ws = connOf(alice, bob).ws;
+    const envs = [];
+    const send = alice._send;
+    alice._send = function (to, type, payload) {
+      if (type === "relay" && to === ws) return envs.push(payload);
+      return send.call(this, to, type, payload);
+    };
+    const delivered = spy(bob, "_deliverRelayed");
+    alice.setTarget("general");
+    alice.sendChat("hello mesh");
+    alice._send = send;
+    check(envs.length === 1, "alice sent no envelope to bob");
+    alice._send(ws, "relay", { ...envs[0], body: "{}" });
+    alice._send(ws, "relay", envs[0]);
+    alice._send(ws, "relay", envs[0]);
+    await sim.waitForLog(
+      bob,
+      /Dropped relayed frame claiming to be from alice/
+    );
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    check(
+      delivered.length === 1,
+      `bob delivered the envelope ${delivered.length} times`
+    );
+  });
+
+  await step("illegal game moves are refused", async () => {
+    const gameOf = (n) =>
+      [...n.games.values()].find((g) => g.type === "tictactoe");
+    bob.setTarget(carol.identity.id);
+    bob.processInput("/play tictactoe");
+    await sim.waitForLog(carol, /INVITE: bob wants to play/);
+    carol.processInput("/accept");
+    await sim.waitFor(() => gameOf(bob)?.status === "active", {
+      what: "the game to start",
+    });
+    const forge = (move) => {
+      const g = gameOf(carol);
+      carol._send(connOf(carol, bob).ws, "game-move", {
+        gameId: g.id,
+        seq: g.seq + 1,
+        hash: "0",
+        move,
+      });
+    };
+    const refused = () =>
+      bob.logs.filter((l) => /Rejected an illegal or out-of-order move/.test(l))
+        .length;
+
+    // bob sits first as X, so carol may not move yet.
+    forge({ idx: 0 });
+    await sim.waitFor(() => refused() === 1, { what: "an early move" });
+    check(
+      gameOf(bob).state.board.every((c) => c === null),
+      "bob took carol's early move"
+    );
+
+    bob.processInput("/move 5");
+    await sim.waitFor(() => gameOf(carol).state.turn === "O", {
+      what: "carol's turn",
+    });
+    forge({ idx: 4 });
+    await sim.waitFor(() => refused() === 2, { what: "a taken cell" });
+    carol.processInput("/move 5");
+    await sim.waitForLog(carol, /Illegal move\./);
+    bob.processInput("/move 1");
+    await sim.waitForLog(bob, /Not your turn in Tic-Tac-Toe\./);
+    check(
+      gameOf(bob).state.board.filter(Boolean).join("") === "X",
+      "the board changed"
+    );
+  });
+};